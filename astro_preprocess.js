@@ -4,36 +4,96 @@
 //
 // Pipeline per object/date session:
 //   1. Master dark      → RAW/<date>/darks/<exp>s/master_dark_<exp>s.xisf
-//   2. Master flat      → RAW/<date>/flats/master_flat_<date>.xisf
-//                         (raw CFA flats integrated directly — no debayer)
+//   2. Master bias      → RAW/<date>/bias/master_bias.xisf (if bias frames)
+//      Master dark-flat → RAW/<date>/darkflats/<exp>s/master_darkflat_<exp>s.xisf
+//      Master flat      → RAW/<date>/flats/master_flat_<date>.xisf
+//                         (raw CFA flats calibrated with the dark-flat or
+//                          bias, then integrated directly — no debayer)
 //   3. ImageCalibration → calibrated/<sub>_c.xisf  (raw CFA in, CFA out)
-//   4. Debayer          → debayered/<sub>_c_d.xisf (RGB, per-image)
-//   5. StarAlignment    → registered/<sub>_c_d_r.xisf + .xdrz + .xnml
-//   6. LocalNormalization → registered/<sub>_c_d_r_n.xisf + .xnml
-//   7. ImageIntegration → master/integration.xisf (uses .xnml data)
-//   8. DrizzleIntegration (2x) → master/drizzle_<Object>_<Date>.xisf
+//      CosmeticCorrection → calibrated/<sub>_c_cc.xisf (CFA hot/cold pixels;
+//                           optional, COSMETIC_ENABLED)
+//   4. Debayer          → debayered/<sub>_c_d.xisf, or <sub>_c_cc_d.xisf after
+//                         CosmeticCorrection (RGB, per-image; not for mono)
+//   5. Subframe grading → logs/grading.csv + grading.json (rejects bad subs)
+//   6. StarAlignment    → registered/<sub>_c_d_r.xisf + .xdrz + .xnml
+//   7. LocalNormalization → registered/<sub>_c_d_r_n.xisf + .xnml
+//   8. ImageIntegration → master/integration.xisf (uses .xnml data)
+//   9. DrizzleIntegration (2x) → master/drizzle_<Object>_<Date>.xisf
+//      Auto-crop        → master/integration_crop.xisf + drizzle_..._crop.xisf
+//      Quick-look       → master/<final master>_preview.jpg (stretched copy)
+//
+// Mosaics (<Object>_<row>-<col> panel folders): each panel runs steps 1-9
+//   in Processed/<Base>/<Date>/<Panel>/, then the panel masters are joined
+//   → Processed/<Base>/<Date>/mosaic_<Base>_<Date>.xisf
+//
+// Multi-night project mode (select Processed/<Object> in the picker):
+//   reuses every night's debayered/ subs (minus grading rejects) and runs
+//   steps 6-9 once over all of them →
+//   Processed/<Object>/_combined/master/drizzle_<Object>_combined.xisf
 //
 // Calibration rules:
-//   - Darks:  matched by exact exposure length, within CALIB_DATE_TOLERANCE_DAYS.
-//             If no match found, calibration is skipped with a warning.
-//   - Flats:  within CALIB_DATE_TOLERANCE_DAYS of session date.
+//   - Darks:  matched on FITS EXPTIME/GAIN/OFFSET/CCD-TEMP/XBINNING against the
+//             lights (CALIB_MATCH_TOLERANCE / CALIB_MISMATCH_POLICY), any
+//             folder under darks/ within CALIB_DATE_TOLERANCE_DAYS.
+//             Otherwise the nearest matching master from the dark library
+//             (CALIB_LIBRARY_INDEX) is used; if none, dark calibration is
+//             skipped with a warning.
+//   - Flats:  within CALIB_DATE_TOLERANCE_DAYS of session date; XBINNING and
+//             BAYERPAT must agree with the lights.
 //             If absent, calibration is skipped with a warning.
 //   - When both are absent, pipeline proceeds with uncalibrated lights.
+//   - Mixed exposures: lights are grouped by exposure and each group is
+//     calibrated with its own master dark (same skip-with-warning policy
+//     per group), then all groups are integrated together.
+//   - Mixed filters: lights are grouped by FILTER keyword first; each
+//     filter gets its own flats (flats/<filter>/, or by header) and its own
+//     stack in registered/<filter>/ and master/<filter>/.
+//   - Mono cameras (no BAYERPAT, or CAMERA_TYPE = "mono"): calibration runs
+//     without CFA handling and step 4 is skipped. Every filter is stacked
+//     on its own, all registered to one common reference and cropped to
+//     one rectangle → master/<Filter>_<Object>_<Date>.xisf per filter.
 //
 // Output structure:
 //   Z:/processed/<Object>/<Date>/calibrated/  <- CFA-calibrated subs _c.xisf
 //   Z:/processed/<Object>/<Date>/debayered/   <- debayered RGB subs _c_d.xisf
 //   Z:/processed/<Object>/<Date>/registered/  <- registered subs + .xdrz
+//                                                (+ _cfa.xdrz in CFA drizzle mode)
 //   Z:/processed/<Object>/<Date>/master/      <- integration + drizzle stack
+//                                                (+ Ha_/OIII_ masters for dual-band)
+//   Z:/processed/<Object>/<Date>/narrowband/  <- Ha and OIII channel subs and stacks
+//   Z:/processed/<Object>/<Date>/logs/        <- logs, steps.json, session.json
 //   Z:/RAW/<date>/darks/<exp>s/               <- dark raws
 //   Z:/RAW/<date>/flats/                      <- flat raws
+//   Z:/RAW/<date>/flats/<filter>/             <- flat raws of one filter (optional)
+//   Z:/RAW/<date>/bias/                       <- bias raws (optional)
+//   Z:/RAW/<date>/darkflats/<exp>s/           <- dark-flat raws (optional)
 //
 // Prerequisites:
 //   - Run copy_from_asiair.ps1 to copy RAW+calibration files and pre-create folders
 //   - PI cannot reliably create folders on network shares; PowerShell handles this
+//   - Plate solving (PLATE_SOLVE_ENABLED) uses PixInsight's ImageSolver script
+//     and the star database configured in it. It is only included when
+//     WITH_PLATE_SOLVER is defined below; a plain run does not need it.
 // ============================================================
 
+// ImageSolver as a library (no dialog); its settings module is shared
+// with the interactive ImageSolver script. It ships with PixInsight in
+// src/scripts/AdP/. Uncomment the WITH_PLATE_SOLVER line to include it —
+// PLATE_SOLVE_ENABLED needs it.
+// #define WITH_PLATE_SOLVER
+#ifdef WITH_PLATE_SOLVER
+#define USE_SOLVER_LIBRARY true
+#include <../src/scripts/AdP/ImageSolver.js>
+#endif
+#include <pjsr/CryptographicHash.jsh>
+#include <pjsr/DataType.jsh>
+#include <pjsr/StdButton.jsh>
+#include <pjsr/StdIcon.jsh>
+#include <pjsr/TextAlign.jsh>
+
 // ── Configuration ────────────────────────────────────────────
+// Built-in defaults. Prefer overriding them in CONFIG_FILE (see
+// "Configuration file" below) rather than editing them here.
 // NAS paths — edit to match your setup.
 // isWindows is kept for the ensureDir() shell command selection.
 var isWindows = true;
@@ -50,20 +110,222 @@ var NAS_PROCESSED_ROOT = "Z:/Processed";
 //   3 = GRBG
 var BAYER_PATTERN = 0;
 
+// Camera type:
+//   "auto" — mono when none of a session's lights has a BAYERPAT keyword
+//            (the ASIAIR writes it for colour cameras only)
+//   "osc"  — always calibrate as CFA and debayer
+//   "mono" — calibrate as mono frames, no debayer; every filter is stacked
+//            on its own, all registered to one common reference sub
+var CAMERA_TYPE = "auto";
+
 // Drizzle output scale factor. 2.0 produces a 2× larger final stack.
 // Requires generateDrizzleData = true in StarAlignment (already set).
 var DRIZZLE_SCALE = 2.0;
 
+// Drizzle mode:
+//   "rgb" — drizzle the debayered (VNG-interpolated) RGB subs
+//   "cfa" — Bayer drizzle: registration still runs on the debayered subs,
+//           but DrizzleIntegration drops the calibrated CFA pixels of each
+//           sub straight into their colour channel — no interpolation.
+//           Needs well-dithered data; the master is named drizzle_..._cfa.xisf.
+var DRIZZLE_MODE = "rgb";
+
 // Maximum number of days to search forward/backward from session date
 // when looking for matching darks or flats. Covers the common case of
 // capturing calibration frames the morning after an imaging session.
 var CALIB_DATE_TOLERANCE_DAYS = 1;
 
-// Per-run master caches — keyed by "<calibDate>/<exp>s" for darks,
-// "<calibDate>" for flats. Avoids rebuilding masters when multiple
+// Subframe grading — SubframeSelector measures every debayered sub and
+// frames outside the limits below are dropped before StarAlignment.
+//   "sigma"    → reject frames more than GRADING_SIGMA robust deviations
+//                (1.4826 × MAD) worse than the session median
+//   "absolute" → reject frames outside the fixed limits below
+// A limit of 0 disables that check in absolute mode. Off by default, as it
+// changes which subs a session integrates.
+var GRADING_ENABLED          = false;
+var GRADING_MODE             = "sigma";
+var GRADING_SIGMA            = 2.5;
+var GRADING_MAX_FWHM         = 6.0;    // pixels
+var GRADING_MAX_ECCENTRICITY = 0.70;
+var GRADING_MIN_STARS        = 50;
+var GRADING_MIN_PSF_SIGNAL   = 0;      // PSF signal weight
+var GRADING_MAX_NOISE        = 0;      // normalized noise estimate
+// Never reject below this many frames — a bad night still gets a stack.
+var GRADING_MIN_ACCEPTED     = 3;
+
+// Reference frame selection — score every candidate on star count, FWHM,
+// background level and PSF signal weight (each relative to the session
+// median) and use the best frame as the StarAlignment reference, and the
+// best registered frame as the LocalNormalization reference. When false,
+// the first file in directory order is used for both.
+var REFERENCE_AUTO_SELECT = true;
+
+// Multi-night project integration — stacks the already calibrated and
+// debayered subs from every processed date of one object together into
+// NAS_PROCESSED_ROOT/<Object>/<PROJECT_DIR_NAME>/. Run it by selecting a
+// Processed/<Object> folder in the folder picker, or set
+// PROJECT_AUTO_INTEGRATE to rebuild the combined master of every object
+// that completed a session in this run.
+var PROJECT_DIR_NAME       = "_combined";
+var PROJECT_AUTO_INTEGRATE = false;
+var PROJECT_MIN_NIGHTS     = 2;
+
+// Mosaic assembly — once every panel of a mosaic has a master, the panel
+// masters are joined one at a time with StarAlignment in Register/Union –
+// Mosaic mode (frame adaptation matches the panel backgrounds) into
+// Processed/<Base>/<Date>/mosaic_<Base>_<Date>.xisf. Missing or failed
+// panels are reported and the mosaic is not assembled unless
+// MOSAIC_ALLOW_PARTIAL is set.
+var MOSAIC_ASSEMBLY_ENABLED = true;
+var MOSAIC_ALLOW_PARTIAL    = false;
+
+// Integration ledger — every completed session adds its integrated frames
+// and exposure (per FILTER) to Processed/<Object>/ledger.json, and each run
+// ends with a roll-up of all objects in Processed/_integration_ledger.md.
+// INTEGRATION_GOAL_HOURS is the target total per object, usually set in
+// the object's pipeline.json; 0 = no goal.
+var INTEGRATION_GOAL_HOURS = 0;
+
+// Auto-crop — after integration and drizzle, the largest rectangle in which
+// at least AUTOCROP_MIN_COVERAGE of the frames contribute is cropped from
+// both masters (the drizzle rectangle scaled by DRIZZLE_SCALE) and saved
+// alongside them as integration_crop.xisf and drizzle_<Object>_<Date>_crop.xisf.
+// Coverage comes from ImageIntegration's low rejection map, where pixels
+// outside a registered frame show up as range-rejected.
+var AUTOCROP_ENABLED      = true;
+var AUTOCROP_MIN_COVERAGE = 0.90;   // fraction of frames
+
+// Plate solving — after DrizzleIntegration, integration.xisf and the drizzle
+// master are solved with ImageSolver (against the star catalogue selected
+// in the ImageSolver script, e.g. a local Gaia database) and saved with
+// their astrometric solution, which the _crop versions inherit. The search
+// is seeded from the lights' RA/DEC (or OBJCTRA/OBJCTDEC), FOCALLEN and
+// XPIXSZ keywords; PLATE_SOLVE_FOCAL_LENGTH (mm) and PLATE_SOLVE_PIXEL_SIZE
+// (µm) stand in when those are missing (0 = header only). A failed solve
+// is reported and the session carries on. Needs WITH_PLATE_SOLVER (top of
+// the script) defined.
+var PLATE_SOLVE_ENABLED      = false;
+var PLATE_SOLVE_FOCAL_LENGTH = 0;
+var PLATE_SOLVE_PIXEL_SIZE   = 0;
+
+// Quick-look preview — a copy of the final master is background-extracted
+// (ABE), colour calibrated (SPCC when it has an astrometric solution,
+// otherwise BackgroundNeutralization + ColorCalibration) and auto-STF
+// stretched, then saved as <master>_preview.jpg/.png next to it. The linear
+// masters are never modified. Off by default; SPCC needs its catalogue.
+var QUICKLOOK_ENABLED = false;
+var QUICKLOOK_FORMAT  = "jpg";
+
+// Cosmetic correction — between ImageCalibration and Debayer every CFA sub
+// goes through CosmeticCorrection in CFA mode → calibrated/<sub>_c_cc.xisf.
+// COSMETIC_MODE picks the defect sources: "auto" (pixels more than
+// COSMETIC_HOT_SIGMA / COSMETIC_COLD_SIGMA from their surroundings), "dark"
+// (pixels of the group's master dark above its median + COSMETIC_HOT_SIGMA
+// sigma; falls back to "auto" without a dark) or "both". The camera's entry
+// in COSMETIC_DEFECT_LISTS, keyed by the lights' INSTRUME keyword, adds
+// fixed bad columns/rows:
+//   { "ZWO ASI533MC Pro": [{ "column": 1021 }, { "row": 88, "from": 0, "to": 1500 }] }
+// Off by default: turning it on renames the calibrated and debayered subs
+// (<sub>_c_cc.xisf, <sub>_c_cc_d.xisf), so existing sessions re-run from
+// ImageCalibration. It can be enabled per object or per session in
+// pipeline.json, e.g. { "COSMETIC_ENABLED": true }.
+var COSMETIC_ENABLED      = false;
+var COSMETIC_MODE         = "both";
+var COSMETIC_HOT_SIGMA    = 3.0;
+var COSMETIC_COLD_SIGMA   = 3.0;
+var COSMETIC_DEFECT_LISTS = {};
+
+// Dual-narrowband — for sessions shot through a dual-band filter (Ha + OIII)
+// on the OSC camera, the accepted calibrated CFA subs are also split into
+// an Ha sub (red pixels) and an OIII sub (green and blue pixels) at half
+// resolution, and each channel is registered, integrated and (with
+// NARROWBAND_DRIZZLE, at DRIZZLE_SCALE) drizzled on its own →
+// master/Ha_<Object>_<Date>.xisf, master/OIII_<Object>_<Date>.xisf and an
+// HOO quick-look. The RGB stack is made as usual.
+// NARROWBAND_MODE: "auto" (the lights' FILTER keyword matches the
+// NARROWBAND_FILTERS regular expression, case-insensitive), "on" or "off" —
+// set it per object in pipeline.json.
+var NARROWBAND_MODE    = "auto";
+var NARROWBAND_FILTERS = "L-eXtreme|L-eNhance|L-Ultimate|Dual|Duo|ALP-T";
+var NARROWBAND_DRIZZLE = true;
+
+// Contact sheet — a stretched JPEG thumbnail of every debayered sub and of
+// the integration's rejection maps in logs/thumbs/, and logs/contact_sheet.html
+// showing them with each frame's grading measurements, rejected and failed
+// frames marked. Thumbnails newer than their source are reused. Off by
+// default: every sub is opened and stretched once.
+var THUMBNAILS_ENABLED = false;
+var THUMBNAIL_SIZE     = 400;   // pixels, longest side
+
+// Header-based calibration matching — lights, darks and flats are
+// characterised from their FITS keywords (EXPTIME, GAIN, OFFSET,
+// CCD-TEMP, XBINNING, BAYERPAT); the filename is only a fallback for the
+// exposure. Every dark folder under darks/ within CALIB_DATE_TOLERANCE_DAYS
+// whose exposure matches is a candidate, whatever the folder is called.
+// A characteristic outside its tolerance is handled per
+// CALIB_MISMATCH_POLICY:
+//   "warn"   → use the frames anyway, warning in the log and summary
+//   "reject" → do not use them (same as not found: skipped with warning)
+//   "error"  → fail the session
+// Keywords missing from either header are not compared.
+var CALIB_MATCH_TOLERANCE = {
+    exposure: 0.01,  // seconds
+    gain:     0,
+    offset:   0,
+    temp:     2.0,   // °C (CCD-TEMP)
+    binning:  0
+};
+var CALIB_MISMATCH_POLICY = {
+    gain:     "reject",
+    offset:   "reject",
+    temp:     "warn",
+    binning:  "reject",
+    bayer:    "reject"   // flats only
+};
+
+// Bias frames (RAW/<date>/bias/) and dark-flats (RAW/<date>/darkflats/<exp>s/)
+// are discovered like darks, within CALIB_DATE_TOLERANCE_DAYS. Flats are
+// pre-calibrated with an exposure-matched master dark-flat, else with the
+// master bias, else not at all. For lights, CALIB_BIAS_FOR_LIGHTS decides
+// when the master bias is applied:
+//   "no-dark" → only to exposure groups without a master dark
+//   "always"  → to every group (the master dark is then bias-subtracted too)
+//   "never"   → bias is only used for flats
+var CALIB_BIAS_FOR_LIGHTS = "no-dark";
+
+// Master dark library — every master dark that is built or found is
+// indexed in CALIB_LIBRARY_INDEX with the exposure, gain, offset,
+// set-temperature and binning read from its raw frames' FITS headers.
+// A session with no darks within CALIB_DATE_TOLERANCE_DAYS falls back to
+// the closest-dated library master with identical exposure, gain, offset
+// and binning, a set-temperature within CALIB_LIBRARY_TEMP_TOLERANCE and
+// a capture date at most CALIB_LIBRARY_MAX_AGE_DAYS away.
+var CALIB_LIBRARY_ENABLED        = true;
+var CALIB_LIBRARY_INDEX          = NAS_RAW_ROOT + "/calibration_library.json";
+var CALIB_LIBRARY_MAX_AGE_DAYS   = 180;
+var CALIB_LIBRARY_TEMP_TOLERANCE = 1.0;   // °C
+
+// Per-step resume — every session step records its inputs, outputs and
+// settings in logs/steps.json when it completes. On the next run a step is
+// skipped when its inputs and settings are unchanged, every recorded output
+// still exists and all outputs are newer than the inputs (lights, masters
+// and the previous step's outputs). Once a step re-runs, every step after it
+// re-runs too. FORCE_FROM_STEP = n re-runs steps n..9 deliberately (1-2
+// rebuild the calibration masters); 0 disables forcing. The sentinel still
+// applies: delete _processed.txt to revisit a completed session.
+var STEP_RESUME_ENABLED = true;
+var FORCE_FROM_STEP     = 0;
+
+// Per-run master caches — keyed by dark folder path for darks,
+// master path for flats. Avoids rebuilding masters when multiple
 // sessions on the same night share the same calibration frames.
-var g_masterDarkCache = {};  // key: "<date>/<exp>s"  -> path
-var g_masterFlatCache = {};  // key: "<date>"          -> path
+var g_masterDarkCache = {};  // key: dark folder     -> path
+var g_masterFlatCache = {};  // key: master path     -> path
+var g_masterBiasCache = {};  // key: master path     -> path (bias, dark-flats)
+
+// Processed object folders that completed a session in this run —
+// candidates for PROJECT_AUTO_INTEGRATE.
+var g_projectCandidates = {};  // key: processed object dir -> true
 // ─────────────────────────────────────────────────────────────
 
 // Mosaic panel suffix pattern: objectName ends with _<row>-<col>
@@ -179,6 +441,12 @@ function friendlyName(rawName) {
     return mapped + suffix;
 }
 
+// Object name without a mosaic panel suffix: "M 31_1-2" → "M 31".
+function objectBaseName(rawName) {
+    var m = MOSAIC_PANEL_RE.exec(rawName);
+    return m ? m[1] : rawName;
+}
+
 function fileExists(p) { return File.exists(p); }
 
 function ensureDir(p) {
@@ -215,6 +483,12 @@ function removeNonLightFiles(dir) {
     return removed;
 }
 
+// Original light name of any pipeline product: strips the _c/_cc/_d/_r/_n
+// step suffixes, e.g. "Light_..._0001_c_cc_d_r.xisf" → "Light_..._0001".
+function lightBaseName(filePath) {
+    return File.extractName(filePath).replace(/(_(c|cc|d|r|n))+$/, "");
+}
+
 function closeAllWindows() {
     var wins = ImageWindow.windows;
     for (var i = wins.length - 1; i >= 0; i--)
@@ -223,6 +497,7 @@ function closeAllWindows() {
 
 // ── Logging ──────────────────────────────────────────────────
 var g_logFile = null;
+var g_logPath = null;
 function logOpen(logDir) {
     var now = new Date;
     var ts = now.getFullYear() +
@@ -234,6 +509,7 @@ function logOpen(logDir) {
     var logPath = logDir + "/preprocess_" + ts + ".log";
     g_logFile = new File;
     g_logFile.createForWriting(logPath);
+    g_logPath = logPath;
     Console.writeln("  Log: " + logPath);
 }
 function log(msg) {
@@ -247,28 +523,786 @@ function log(msg) {
 function logClose() {
     if (g_logFile && g_logFile.isOpen) g_logFile.close();
     g_logFile = null;
+    g_logPath = null;
+}
+
+// ── Configuration file ───────────────────────────────────────
+// Settings are read from CONFIG_FILE at startup; any top-level key names
+// one of the globals in CONFIG_KEYS. Sections named after a process
+// (PROCESS_OVERRIDE_NAMES) set that process's parameters right before it
+// executes, e.g. { "ImageIntegration": { "sigmaHigh": 2.5 } } — enum
+// parameters also accept the constant's name ("WinsorizedSigmaClip").
+// NAS_PROCESSED_ROOT/<Object>/pipeline.json may override the settings
+// marked "object" for that object only. Keys starting with "_" are
+// comments.
+var CONFIG_FILE = "G:/AstroWorkingDir/astro_preprocess.json";
+
+// Configurable globals and where they may be set: "global" only in
+// CONFIG_FILE, "object" also in a per-object pipeline.json.
+var CONFIG_KEYS = {
+    NAS_RAW_ROOT:                 "global",
+    NAS_PROCESSED_ROOT:           "global",
+    BAYER_PATTERN:                "object",
+    CAMERA_TYPE:                  "object",
+    DRIZZLE_SCALE:                "object",
+    DRIZZLE_MODE:                 "object",
+    CALIB_DATE_TOLERANCE_DAYS:    "object",
+    GRADING_ENABLED:              "object",
+    GRADING_MODE:                 "object",
+    GRADING_SIGMA:                "object",
+    GRADING_MAX_FWHM:             "object",
+    GRADING_MAX_ECCENTRICITY:     "object",
+    GRADING_MIN_STARS:            "object",
+    GRADING_MIN_PSF_SIGNAL:       "object",
+    GRADING_MAX_NOISE:            "object",
+    GRADING_MIN_ACCEPTED:         "object",
+    REFERENCE_AUTO_SELECT:        "object",
+    PROJECT_DIR_NAME:             "global",
+    PROJECT_AUTO_INTEGRATE:       "global",
+    PROJECT_MIN_NIGHTS:           "object",
+    MOSAIC_ASSEMBLY_ENABLED:      "object",
+    MOSAIC_ALLOW_PARTIAL:         "object",
+    INTEGRATION_GOAL_HOURS:       "object",
+    AUTOCROP_ENABLED:             "object",
+    AUTOCROP_MIN_COVERAGE:        "object",
+    PLATE_SOLVE_ENABLED:          "object",
+    PLATE_SOLVE_FOCAL_LENGTH:     "object",
+    PLATE_SOLVE_PIXEL_SIZE:       "object",
+    QUICKLOOK_ENABLED:            "object",
+    QUICKLOOK_FORMAT:             "object",
+    THUMBNAILS_ENABLED:           "object",
+    THUMBNAIL_SIZE:               "object",
+    COSMETIC_ENABLED:             "object",
+    COSMETIC_MODE:                "object",
+    COSMETIC_HOT_SIGMA:           "object",
+    COSMETIC_COLD_SIGMA:          "object",
+    COSMETIC_DEFECT_LISTS:        "object",
+    NARROWBAND_MODE:              "object",
+    NARROWBAND_FILTERS:           "object",
+    NARROWBAND_DRIZZLE:           "object",
+    CALIB_MATCH_TOLERANCE:        "object",
+    CALIB_MISMATCH_POLICY:        "object",
+    CALIB_BIAS_FOR_LIGHTS:        "object",
+    CALIB_LIBRARY_ENABLED:        "object",
+    CALIB_LIBRARY_INDEX:          "global",
+    CALIB_LIBRARY_MAX_AGE_DAYS:   "object",
+    CALIB_LIBRARY_TEMP_TOLERANCE: "object",
+    STEP_RESUME_ENABLED:          "object",
+    FORCE_FROM_STEP:              "object"
+};
+
+// Allowed values for settings that are not free-form.
+var CONFIG_CHOICES = {
+    BAYER_PATTERN:         [0, 1, 2, 3],
+    CAMERA_TYPE:           ["auto", "osc", "mono"],
+    GRADING_MODE:          ["sigma", "absolute"],
+    CALIB_BIAS_FOR_LIGHTS: ["no-dark", "always", "never"],
+    FORCE_FROM_STEP:       [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+    QUICKLOOK_FORMAT:      ["jpg", "png"],
+    COSMETIC_MODE:         ["auto", "dark", "both"],
+    DRIZZLE_MODE:          ["rgb", "cfa"],
+    NARROWBAND_MODE:       ["auto", "on", "off"]
+};
+var CALIB_POLICY_CHOICES = ["warn", "reject", "error"];
+
+var PROCESS_OVERRIDE_NAMES = ["StarAlignment", "ImageIntegration", "DrizzleIntegration"];
+
+// Effective process parameter overrides: { <process>: { param: value } }
+var g_processOverrides = {};
+// Effective settings after CONFIG_FILE, restored before each object's
+// pipeline.json is applied.
+var g_baseConfig = null;
+// Where the current settings came from, for the dialog and session logs.
+var g_configSources = [];
+
+// The top-level script object, whose properties are the config globals.
+var g_global = this;
+
+function processClass(name) {
+    return { StarAlignment:      StarAlignment,
+             ImageIntegration:   ImageIntegration,
+             DrizzleIntegration: DrizzleIntegration }[name];
+}
+
+// True when `pattern` compiles as a regular expression.
+function validRegExp(pattern) {
+    try {
+        new RegExp(pattern, "i");
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Checks a parsed config object. scope: "global" (CONFIG_FILE) or
+// "object" (pipeline.json). Returns a list of error messages.
+function validateConfig(cfg, scope) {
+    var errors = [];
+    if (cfg === null || typeof cfg !== "object" || cfg instanceof Array)
+        return ["top level must be a JSON object"];
+    for (var key in cfg) {
+        if (key.charAt(0) === "_") continue;
+        var value = cfg[key];
+
+        if (PROCESS_OVERRIDE_NAMES.indexOf(key) >= 0) {
+            if (value === null || typeof value !== "object" || value instanceof Array) {
+                errors.push(key + ": must be an object of process parameters");
+                continue;
+            }
+            var ctor  = processClass(key);
+            var probe = new ctor;
+            for (var param in value) {
+                var pv = value[param], current = probe[param];
+                if (!(param in probe) || typeof current === "function") {
+                    errors.push(key + "." + param + ": no such parameter");
+                } else if (typeof current === "object") {
+                    errors.push(key + "." + param + ": table parameters cannot be overridden");
+                } else if (typeof pv === "string" && typeof current === "number") {
+                    if (typeof ctor.prototype[pv] !== "number")
+                        errors.push(key + "." + param + ": unknown constant \"" + pv + "\"");
+                } else if (typeof pv !== typeof current) {
+                    errors.push(key + "." + param + ": expected " + typeof current + ", got " + typeof pv);
+                }
+            }
+            continue;
+        }
+
+        if (!CONFIG_KEYS.hasOwnProperty(key)) {
+            errors.push(key + ": unknown setting");
+            continue;
+        }
+        if (scope === "object" && CONFIG_KEYS[key] !== "object") {
+            errors.push(key + ": can only be set in " + CONFIG_FILE);
+            continue;
+        }
+        var current = g_global[key];
+        if (key === "COSMETIC_DEFECT_LISTS") {
+            errors = errors.concat(validateDefectLists(value));
+            continue;
+        }
+        if (typeof current === "object") {
+            if (value === null || typeof value !== "object" || value instanceof Array) {
+                errors.push(key + ": must be an object");
+                continue;
+            }
+            for (var field in value) {
+                if (!current.hasOwnProperty(field))
+                    errors.push(key + "." + field + ": unknown field");
+                else if (key === "CALIB_MISMATCH_POLICY" && CALIB_POLICY_CHOICES.indexOf(value[field]) < 0)
+                    errors.push(key + "." + field + ": must be one of " + CALIB_POLICY_CHOICES.join(", "));
+                else if (key !== "CALIB_MISMATCH_POLICY" && !(typeof value[field] === "number" && value[field] >= 0))
+                    errors.push(key + "." + field + ": must be a number \u2265 0");
+            }
+            continue;
+        }
+        if (typeof value !== typeof current) {
+            errors.push(key + ": expected " + typeof current + ", got " + (value === null ? "null" : typeof value));
+        } else if (CONFIG_CHOICES.hasOwnProperty(key) && CONFIG_CHOICES[key].indexOf(value) < 0) {
+            errors.push(key + ": must be one of " + CONFIG_CHOICES[key].join(", "));
+        } else if (typeof value === "number" && (!isFinite(value) || value < 0 ||
+                                                 (key === "DRIZZLE_SCALE" && value === 0))) {
+            errors.push(key + ": must be a " + (key === "DRIZZLE_SCALE" ? "positive" : "non-negative") + " number");
+        } else if (key === "AUTOCROP_MIN_COVERAGE" && (value === 0 || value > 1)) {
+            errors.push(key + ": must be a fraction greater than 0 and at most 1");
+        } else if (typeof value === "string" && value === "") {
+            errors.push(key + ": must not be empty");
+        } else if (key === "NARROWBAND_FILTERS" && !validRegExp(value)) {
+            errors.push(key + ": not a valid regular expression");
+        } else if (key === "PLATE_SOLVE_ENABLED" && value && !solverAvailable()) {
+            errors.push(key + ": needs ImageSolver \u2014 uncomment #define WITH_PLATE_SOLVER at the top of the script");
+        }
+    }
+    return errors;
+}
+
+// COSMETIC_DEFECT_LISTS: { <INSTRUME>: [{ column | row, from?, to? }] }
+function validateDefectLists(value) {
+    var errors = [];
+    if (value === null || typeof value !== "object" || value instanceof Array)
+        return ["COSMETIC_DEFECT_LISTS: must be an object of camera defect lists"];
+    function isIndex(v) { return typeof v === "number" && v >= 0 && Math.floor(v) === v; }
+    for (var camera in value) {
+        var where = "COSMETIC_DEFECT_LISTS." + camera;
+        if (!(value[camera] instanceof Array)) { errors.push(where + ": must be a list"); continue; }
+        for (var i = 0; i < value[camera].length; i++) {
+            var d = value[camera][i], at = where + "[" + i + "]";
+            if (d === null || typeof d !== "object") { errors.push(at + ": must be an object"); continue; }
+            for (var field in d)
+                if (["column", "row", "from", "to"].indexOf(field) < 0)
+                    errors.push(at + "." + field + ": unknown field");
+                else if (!isIndex(d[field]))
+                    errors.push(at + "." + field + ": must be a pixel index \u2265 0");
+            if (d.hasOwnProperty("column") === d.hasOwnProperty("row"))
+                errors.push(at + ": needs exactly one of column, row");
+            if (d.hasOwnProperty("from") !== d.hasOwnProperty("to"))
+                errors.push(at + ": from and to go together");
+            else if (d.from > d.to)
+                errors.push(at + ": from must not exceed to");
+        }
+    }
+    return errors;
+}
+
+// Applies a validated config object onto the globals and
+// g_processOverrides. Object settings are merged field by field.
+function applyConfig(cfg) {
+    for (var key in cfg) {
+        if (key.charAt(0) === "_") continue;
+        var value = cfg[key];
+        if (PROCESS_OVERRIDE_NAMES.indexOf(key) >= 0) {
+            if (!g_processOverrides[key]) g_processOverrides[key] = {};
+            for (var param in value)
+                g_processOverrides[key][param] = value[param];
+        } else if (typeof g_global[key] === "object") {
+            for (var field in value)
+                g_global[key][field] = value[field];
+        } else {
+            g_global[key] = value;
+        }
+    }
+}
+
+// Reads and validates one config file. Returns the parsed object, or null
+// when the file does not exist; throws with every problem listed when it
+// cannot be used.
+function readConfigFile(path, scope) {
+    if (!fileExists(path)) return null;
+    var cfg;
+    try {
+        cfg = JSON.parse(File.readTextFile(path));
+    } catch (e) {
+        throw new Error(path + ": invalid JSON \u2014 " + e.message);
+    }
+    var errors = validateConfig(cfg, scope);
+    if (errors.length > 0)
+        throw new Error(path + ":\n    " + errors.join("\n    "));
+    return cfg;
+}
+
+// Copy of every configurable setting, for restoring between objects.
+function snapshotConfig() {
+    var snap = { processOverrides: JSON.parse(JSON.stringify(g_processOverrides)), values: {} };
+    for (var key in CONFIG_KEYS)
+        snap.values[key] = JSON.parse(JSON.stringify(g_global[key]));
+    return snap;
+}
+
+function restoreConfig(snap) {
+    for (var key in snap.values)
+        g_global[key] = JSON.parse(JSON.stringify(snap.values[key]));
+    g_processOverrides = JSON.parse(JSON.stringify(snap.processOverrides));
+}
+
+// Loads CONFIG_FILE over the built-in defaults and records the result as
+// the base configuration. The library index follows NAS_RAW_ROOT unless
+// it is set explicitly. Throws on an invalid file.
+function loadGlobalConfig() {
+    var cfg = readConfigFile(CONFIG_FILE, "global");
+    if (cfg !== null) {
+        applyConfig(cfg);
+        if (cfg.hasOwnProperty("NAS_RAW_ROOT") && !cfg.hasOwnProperty("CALIB_LIBRARY_INDEX"))
+            CALIB_LIBRARY_INDEX = NAS_RAW_ROOT + "/calibration_library.json";
+        g_configSources = [CONFIG_FILE];
+    } else {
+        g_configSources = ["built-in defaults (" + CONFIG_FILE + " not found)"];
+    }
+    g_baseConfig = snapshotConfig();
+}
+
+// Resets to the base configuration and applies
+// NAS_PROCESSED_ROOT/<objectFolder>/pipeline.json if there is one.
+// Throws on an invalid file (the base configuration stays in effect).
+function applyObjectConfig(objectFolder) {
+    restoreConfig(g_baseConfig);
+    g_configSources = g_configSources.slice(0, 1);
+    var path = NAS_PROCESSED_ROOT + "/" + objectFolder + "/pipeline.json";
+    var cfg = readConfigFile(path, "object");
+    if (cfg !== null) {
+        applyConfig(cfg);
+        g_configSources.push(path);
+    }
+}
+
+// applyObjectConfig for an object about to be processed. An invalid
+// pipeline.json is logged and returns false — the object is not processed.
+function objectConfigOk(objectFolder) {
+    try {
+        applyObjectConfig(objectFolder);
+        return true;
+    } catch (e) {
+        log("\n\u2717 CONFIG ERROR [" + objectFolder + "]: " + e.message);
+        return false;
+    }
+}
+
+// Applies a session's own pipeline.json (in its processed folder) over the
+// object settings. An invalid file is logged and returns false — the
+// session is not processed.
+function sessionConfigOk(sessionDir) {
+    var path = sessionDir + "/pipeline.json";
+    try {
+        var cfg = readConfigFile(path, "object");
+        if (cfg !== null) {
+            applyConfig(cfg);
+            g_configSources.push(path);
+        }
+        return true;
+    } catch (e) {
+        log("\n\u2717 CONFIG ERROR [" + sessionDir + "]: " + e.message);
+        return false;
+    }
+}
+
+// Sets the configured parameter overrides on a process instance before
+// it executes, logging each one.
+function applyProcessOverrides(instance, processName) {
+    var overrides = g_processOverrides[processName];
+    if (!overrides) return;
+    var ctor = processClass(processName);
+    for (var param in overrides) {
+        var value = overrides[param];
+        if (typeof value === "string" && typeof instance[param] === "number")
+            value = ctor.prototype[value];
+        instance[param] = value;
+        log("  " + processName + "." + param + " = " + JSON.stringify(overrides[param]) + " (config)");
+    }
+}
+
+// Effective configuration as text lines, for the dialog and session logs.
+function describeConfig() {
+    var lines = ["Sources: " + g_configSources.join(" + ")];
+    for (var key in CONFIG_KEYS)
+        lines.push("  " + (key + "                              ").substring(0, 30) +
+                   "= " + JSON.stringify(g_global[key]));
+    for (var i = 0; i < PROCESS_OVERRIDE_NAMES.length; i++) {
+        var name = PROCESS_OVERRIDE_NAMES[i];
+        var overrides = g_processOverrides[name] || {};
+        var params = [];
+        for (var param in overrides)
+            params.push(param + "=" + JSON.stringify(overrides[param]));
+        lines.push("  " + (name + "                              ").substring(0, 30) +
+                   ": " + (params.length > 0 ? params.join(", ") : "script defaults"));
+    }
+    return lines;
+}
+
+// Writes the effective configuration into the open log.
+function logConfig() {
+    log("\nEFFECTIVE CONFIGURATION");
+    var lines = describeConfig();
+    for (var i = 0; i < lines.length; i++)
+        log("  " + lines[i]);
+}
+
+// Shows the effective settings before the run and takes the selection
+// filters (same as the headless options); Continue or Cancel.
+function ConfigDialog() {
+    this.__base__ = Dialog;
+    this.__base__();
+
+    this.info_Label = new Label(this);
+    this.info_Label.text = "Effective settings for this run. Edit " + CONFIG_FILE +
+                           " (or Processed/<Object>/pipeline.json) to change them.";
+    this.info_Label.wordWrapping = true;
+
+    this.settings_TextBox = new TextBox(this);
+    this.settings_TextBox.readOnly = true;
+    this.settings_TextBox.text = describeConfig().join("\n");
+    this.settings_TextBox.setMinSize(720, 480);
+
+    // Selection filters
+    var dialog = this;
+    function labelledEdit(labelText, toolTip) {
+        var label = new Label(dialog);
+        label.text = labelText;
+        label.setFixedWidth(60);
+        label.textAlignment = TextAlign_Right | TextAlign_VertCenter;
+        var edit = new Edit(dialog);
+        edit.toolTip = toolTip;
+        var sizer = new HorizontalSizer;
+        sizer.spacing = 6;
+        sizer.add(label);
+        sizer.add(edit, 100);
+        return { edit: edit, sizer: sizer };
+    }
+    function checkBox(text, toolTip) {
+        var box = new CheckBox(dialog);
+        box.text = text;
+        box.toolTip = toolTip;
+        return box;
+    }
+    var objects = labelledEdit("Objects:", "Comma-separated raw or friendly object names; * and ? wildcards. Empty = all.");
+    var from    = labelledEdit("From:", "First date to process, YYYY-MM-DD. Empty = no limit.");
+    var to      = labelledEdit("To:", "Last date to process, YYYY-MM-DD. Empty = no limit.");
+    this.objects_Edit = objects.edit;
+    this.from_Edit    = from.edit;
+    this.to_Edit      = to.edit;
+    this.onlyMosaics_CheckBox = checkBox("Only mosaics", "Process mosaic panels (and assemble them) only.");
+    this.onlyFailed_CheckBox  = checkBox("Only failed",
+        "Only sessions that were attempted before but never completed (logs present, no _processed.txt).");
+    this.force_CheckBox       = checkBox("Force", "Ignore _processed.txt for the selected sessions.");
+    this.dryRun_CheckBox      = checkBox("Dry run", "List what would be processed without processing anything.");
+
+    this.flags_Sizer = new HorizontalSizer;
+    this.flags_Sizer.spacing = 12;
+    this.flags_Sizer.addSpacing(66);
+    this.flags_Sizer.add(this.onlyMosaics_CheckBox);
+    this.flags_Sizer.add(this.onlyFailed_CheckBox);
+    this.flags_Sizer.add(this.force_CheckBox);
+    this.flags_Sizer.add(this.dryRun_CheckBox);
+    this.flags_Sizer.addStretch();
+
+    this.selection_GroupBox = new GroupBox(this);
+    this.selection_GroupBox.title = "Selection";
+    this.selection_GroupBox.sizer = new VerticalSizer;
+    this.selection_GroupBox.sizer.margin = 6;
+    this.selection_GroupBox.sizer.spacing = 4;
+    this.selection_GroupBox.sizer.add(objects.sizer);
+    this.selection_GroupBox.sizer.add(from.sizer);
+    this.selection_GroupBox.sizer.add(to.sizer);
+    this.selection_GroupBox.sizer.add(this.flags_Sizer);
+
+    this.ok_Button = new PushButton(this);
+    this.ok_Button.text = "Continue";
+    this.ok_Button.onClick = function() {
+        var d = this.dialog;
+        g_runOptions.objects = d.objects_Edit.text.split(",")
+            .map(function(o){ return o.trim(); }).filter(function(o){ return o !== ""; });
+        g_runOptions.from        = d.from_Edit.text.trim() || null;
+        g_runOptions.to          = d.to_Edit.text.trim() || null;
+        g_runOptions.onlyMosaics = d.onlyMosaics_CheckBox.checked;
+        g_runOptions.onlyFailed  = d.onlyFailed_CheckBox.checked;
+        g_runOptions.force       = d.force_CheckBox.checked;
+        g_runOptions.dryRun      = d.dryRun_CheckBox.checked;
+        try {
+            checkRunDates();
+        } catch (e) {
+            (new MessageBox(e.message, "AstroPreprocess", StdIcon_Error, StdButton_Ok)).execute();
+            return;
+        }
+        d.ok();
+    };
+
+    this.cancel_Button = new PushButton(this);
+    this.cancel_Button.text = "Cancel";
+    this.cancel_Button.onClick = function() { this.dialog.cancel(); };
+
+    this.buttons_Sizer = new HorizontalSizer;
+    this.buttons_Sizer.spacing = 6;
+    this.buttons_Sizer.addStretch();
+    this.buttons_Sizer.add(this.ok_Button);
+    this.buttons_Sizer.add(this.cancel_Button);
+
+    this.sizer = new VerticalSizer;
+    this.sizer.margin = 8;
+    this.sizer.spacing = 6;
+    this.sizer.add(this.info_Label);
+    this.sizer.add(this.settings_TextBox, 100);
+    this.sizer.add(this.selection_GroupBox);
+    this.sizer.add(this.buttons_Sizer);
+
+    this.windowTitle = "AstroPreprocess \u2014 Configuration";
+    this.adjustToContents();
+}
+ConfigDialog.prototype = new Dialog;
+
+// ── Run options (headless mode) ──────────────────────────────
+// Without script arguments the run is interactive: configuration dialog,
+// folder picker, final images opened. Passing arguments to the script
+// (PixInsight -r="astro_preprocess.js,--path=Z:/Raw,--from=2026-02-01"),
+// or a job file through the ASTRO_PREPROCESS_JOB environment variable,
+// runs headless with no dialogs:
+//   --job=<file>      JSON job file with the same keys (path, from, to,
+//                     object, status, config); arguments win over it
+//   --path=<dir>      what the folder picker would select (default
+//                     NAS_RAW_ROOT)
+//   --from=YYYY-MM-DD / --to=YYYY-MM-DD   date range, inclusive
+//   --object=<glob>   raw or friendly object name, * and ? wildcards;
+//                     repeat for several
+//   --only-mosaics    only mosaic panels (and their assembly)
+//   --only-failed     only sessions that were attempted but never
+//                     completed (logs present, no _processed.txt)
+//   --force           ignore _processed.txt for the selected sessions
+//   --dry-run         list what would be processed, process nothing
+//   --status=<file>   run status JSON for the caller (default
+//                     NAS_PROCESSED_ROOT/_run_status.json)
+//   --config=<file>   configuration file instead of CONFIG_FILE
+// Job file flags: "onlyMosaics", "onlyFailed", "force", "dryRun" (true).
+// Interactive runs set the same filters in the configuration dialog.
+var RUN_OPTION_KEYS = ["job", "path", "from", "to", "object", "status", "config"];
+var RUN_FLAG_KEYS   = { "only-mosaics": "onlyMosaics", "only-failed": "onlyFailed",
+                        "force": "force", "dry-run": "dryRun" };
+var RUN_JOB_ENV     = "ASTRO_PREPROCESS_JOB";
+
+// Exit codes written to the run status file.
+var EXIT_OK     = 0;  // every selected session succeeded or was skipped
+var EXIT_FAILED = 1;  // one or more sessions, mosaics or projects failed
+var EXIT_ERROR  = 2;  // the run could not start (arguments, configuration)
+
+var g_runOptions = { headless: false, path: null, from: null, to: null, objects: [], status: null,
+                     onlyMosaics: false, onlyFailed: false, force: false, dryRun: false };
+
+// Outcome of every session, mosaic and project attempted in this run:
+// [{ kind, object, date, status: "ok"|"failed"|"skipped"|"planned", output, message,
+//    details }]
+// ("planned": would be processed — dry runs only; details: see runDetails)
+var g_runResults = [];
+
+// Returns the record so the caller can attach its details once known.
+function recordResult(kind, objectName, dateStr, status, output, message) {
+    var result = { kind: kind, object: objectName, date: dateStr, status: status,
+                   output: output || null, message: message || "", details: null };
+    g_runResults.push(result);
+    return result;
+}
+
+// Parses jsArguments and the job file into g_runOptions. Throws on an
+// unknown option, an unreadable job file or a malformed date — after
+// marking the run headless and taking --status (or the job's status) from
+// whatever could be read, so writeRunStatus still reports the error.
+function readRunOptions() {
+    var args = (typeof jsArguments !== "undefined" && jsArguments) ? jsArguments : [];
+    var given = {}, objects = [], flags = {}, badArg = null;
+    for (var i = 0; i < args.length; i++) {
+        var m = /^--([a-z-]+)(?:=(.*))?$/.exec(args[i]);
+        if (m && m[2] === undefined && RUN_FLAG_KEYS.hasOwnProperty(m[1])) {
+            flags[RUN_FLAG_KEYS[m[1]]] = true;
+            continue;
+        }
+        if (!m || m[2] === undefined || RUN_OPTION_KEYS.indexOf(m[1]) < 0) {
+            if (badArg === null) badArg = args[i];
+            continue;
+        }
+        if (m[1] === "object") objects.push(m[2]); else given[m[1]] = m[2];
+    }
+    if (!given.job && typeof getEnvironmentVariable === "function") {
+        var envJob = getEnvironmentVariable(RUN_JOB_ENV);
+        if (envJob) given.job = envJob;
+    }
+    if (args.length === 0 && !given.job) return;
+
+    g_runOptions.headless = true;
+    if (given.status) g_runOptions.status = given.status;
+    if (badArg !== null)
+        throw new Error("unknown argument \"" + badArg + "\" (expected --" +
+                        RUN_OPTION_KEYS.join("=, --") + "= or --" +
+                        Object.keys(RUN_FLAG_KEYS).join(", --") + ")");
+
+    var job = {};
+    if (given.job) {
+        if (!fileExists(given.job))
+            throw new Error("job file not found: " + given.job);
+        try {
+            job = JSON.parse(File.readTextFile(given.job));
+        } catch (e) {
+            throw new Error(given.job + ": invalid JSON \u2014 " + e.message);
+        }
+        if (!given.status && typeof job.status === "string" && job.status !== "")
+            g_runOptions.status = job.status;
+        var jobFlags = [];
+        for (var f in RUN_FLAG_KEYS) jobFlags.push(RUN_FLAG_KEYS[f]);
+        for (var key in job) {
+            if (key.charAt(0) === "_") continue;
+            if (jobFlags.indexOf(key) >= 0) {
+                if (typeof job[key] !== "boolean")
+                    throw new Error(given.job + ": \"" + key + "\" must be true or false");
+            } else if (RUN_OPTION_KEYS.indexOf(key) < 0 || key === "job") {
+                throw new Error(given.job + ": unknown key \"" + key + "\"");
+            }
+        }
+    }
+    function pick(key) { return given.hasOwnProperty(key) ? given[key] : (job[key] || null); }
+
+    g_runOptions.path     = pick("path");
+    g_runOptions.from     = pick("from");
+    g_runOptions.to       = pick("to");
+    g_runOptions.status   = pick("status");
+    g_runOptions.objects  = objects.length > 0 ? objects
+                          : (job.object ? [].concat(job.object) : []);
+    for (var f in RUN_FLAG_KEYS) {
+        var flag = RUN_FLAG_KEYS[f];
+        g_runOptions[flag] = flags[flag] === true || job[flag] === true;
+    }
+    if (pick("config")) CONFIG_FILE = pick("config");
+    checkRunDates();
+}
+
+// Throws unless --from/--to are YYYY-MM-DD (or unset).
+function checkRunDates() {
+    var dates = ["from", "to"];
+    for (var i = 0; i < dates.length; i++)
+        if (g_runOptions[dates[i]] !== null && !/^\d{4}-\d{2}-\d{2}$/.test(g_runOptions[dates[i]]))
+            throw new Error(dates[i] + " date must be YYYY-MM-DD, got \"" + g_runOptions[dates[i]] + "\"");
+}
+
+// Case-insensitive, anchored RegExp for a glob with * and ? wildcards.
+function globToRegExp(glob) {
+    return new RegExp("^" + glob.replace(/[.+^${}()|[\]\\]/g, "\\$&")
+                                .replace(/\*/g, ".*").replace(/\?/g, ".") + "$", "i");
+}
+
+// True when dateStr is inside the --from/--to range.
+function dateSelected(dateStr) {
+    return (g_runOptions.from === null || dateStr >= g_runOptions.from) &&
+           (g_runOptions.to   === null || dateStr <= g_runOptions.to);
+}
+
+// True when the object (raw base name, mosaic suffix stripped) is
+// selected by --object, matching its raw or friendly name.
+function objectSelected(baseName) {
+    if (g_runOptions.objects.length === 0) return true;
+    var friendly = friendlyName(baseName);
+    for (var i = 0; i < g_runOptions.objects.length; i++) {
+        var re = globToRegExp(g_runOptions.objects[i]);
+        if (re.test(baseName) || re.test(friendly)) return true;
+    }
+    return false;
+}
+
+// A session "failed" when it was attempted (a log or step manifest in its
+// processed logs/ folder) but never completed (see sessionCompleted).
+function sessionFailed(sourceDir, processedBase) {
+    if (sessionCompleted(sourceDir, processedBase).complete) return false;
+    var ff = new FileFind;
+    if (ff.begin(processedBase + "/logs/preprocess_*.log")) {
+        ff.end();
+        return true;
+    }
+    return fileExists(processedBase + "/logs/steps.json");
+}
+
+// One-line description of the active selection filters.
+function describeRunFilters() {
+    var parts = [];
+    if (g_runOptions.from !== null || g_runOptions.to !== null)
+        parts.push("dates " + (g_runOptions.from || "\u2026") + " to " + (g_runOptions.to || "\u2026"));
+    if (g_runOptions.objects.length > 0) parts.push("objects " + g_runOptions.objects.join(", "));
+    if (g_runOptions.onlyMosaics) parts.push("only mosaics");
+    if (g_runOptions.onlyFailed)  parts.push("only failed");
+    if (g_runOptions.force)       parts.push("force (ignore _processed.txt)");
+    if (g_runOptions.dryRun)      parts.push("DRY RUN");
+    return parts.length > 0 ? parts.join("; ") : "none";
+}
+
+// Writes the run status file the PowerShell wrapper checks:
+// { exitCode, finished, options, counts, results }. Headless runs only.
+function writeRunStatus(exitCode) {
+    if (!g_runOptions.headless) return;
+    var statusFile = g_runOptions.status || (NAS_PROCESSED_ROOT + "/_run_status.json");
+    var counts = { ok: 0, failed: 0, skipped: 0, planned: 0 };
+    for (var i = 0; i < g_runResults.length; i++)
+        counts[g_runResults[i].status]++;
+    try {
+        File.writeTextFile(statusFile, JSON.stringify({
+            exitCode: exitCode,
+            finished: (new Date()).toISOString(),
+            options:  g_runOptions,
+            counts:   counts,
+            results:  g_runResults
+        }, null, 2));
+        Console.writeln("Run status (" + exitCode + "): " + statusFile);
+    } catch (e) {
+        Console.criticalln("Cannot write run status " + statusFile + ": " + e.message);
+    }
 }
 
 // ── Calibration discovery ─────────────────────────────────────
 // Parse exposure from a Light filename: Light_..._180.0s_Bin1_...fit → "180.0"
+// Only used when the FITS header has no EXPTIME.
 function parseLightExposure(filename) {
     var m = filename.match(/_(\d+(?:\.\d+)?)s_Bin/i);
     return m ? m[1] : null;
 }
 
-// Return the dominant exposure length (seconds) across all light frames,
-// as a string like "120.0" — needed to find the matching dark folder.
-function dominantExposure(fitFiles) {
-    var counts = {};
+// Exposure label in the ASIAIR folder style: 180 → "180.0"
+function exposureLabel(seconds) {
+    return seconds === null ? null : seconds.toFixed(1);
+}
+
+// Characterises every light frame from its FITS header.
+// Returns [{ file, chars, exposure }] where exposure is the label used for
+// dark matching and master names — from EXPTIME, else from the filename.
+function characteriseLights(fitFiles) {
+    var lights = [];
     for (var i = 0; i < fitFiles.length; i++) {
-        var exp = parseLightExposure(File.extractName(fitFiles[i]));
-        if (exp) counts[exp] = (counts[exp] || 0) + 1;
+        var chars = frameCharacteristics(fitFiles[i]);
+        var exp = chars.exposure !== null ? exposureLabel(chars.exposure)
+                                          : parseLightExposure(File.extractName(fitFiles[i]));
+        if (chars.exposure === null && exp !== null) chars.exposure = parseFloat(exp);
+        lights.push({ file: fitFiles[i], chars: chars, exposure: exp });
     }
-    var best = null, bestCount = 0;
-    for (var k in counts) {
-        if (counts[k] > bestCount) { best = k; bestCount = counts[k]; }
+    return lights;
+}
+
+// True when the lights are from a mono camera: CAMERA_TYPE "mono", or
+// "auto" and no light has a BAYERPAT keyword.
+function monoLights(lights) {
+    if (CAMERA_TYPE !== "auto") return CAMERA_TYPE === "mono";
+    for (var i = 0; i < lights.length; i++)
+        if (lights[i].chars.bayerPattern !== null) return false;
+    return true;
+}
+
+// Groups characterised lights by exposure label, largest group first.
+// Returns [{ exposure, lights, files, chars }] where chars are those of the
+// group's first light (used for dark matching). Lights whose exposure
+// could not be determined form a group with exposure null.
+function groupLightsByExposure(lights) {
+    var byExp = {}, groups = [];
+    for (var i = 0; i < lights.length; i++) {
+        var key = lights[i].exposure || "?";
+        if (!byExp.hasOwnProperty(key)) {
+            byExp[key] = { exposure: lights[i].exposure, lights: [], files: [], chars: lights[i].chars };
+            groups.push(byExp[key]);
+        }
+        byExp[key].lights.push(lights[i]);
+        byExp[key].files.push(lights[i].file);
     }
-    return best;
+    groups.sort(function(a, b) { return b.files.length - a.files.length; });
+    return groups;
+}
+
+// Folder and file-name form of a FILTER value: "UV/IR Cut" → "UV_IR_Cut".
+function filterDirName(filter) {
+    return (filter || NO_FILTER).replace(/[^A-Za-z0-9.+-]+/g, "_");
+}
+
+// Groups characterised lights by FILTER keyword, largest group first, and
+// each filter's lights by exposure. Lights without FILTER form one group
+// with filter null. Returns [{ filter, lights, expGroups, chars }]; every
+// exposure group gets `filter`, a manifest `key` ("120" / "L-eXtreme:300")
+// and a log `label` ("120s" / "L-eXtreme 300s") — the filter only appears
+// when the session mixes filters.
+function groupLightsByFilter(lights) {
+    var byFilter = {}, groups = [];
+    for (var i = 0; i < lights.length; i++) {
+        var key = lights[i].chars.filter || "";
+        if (!byFilter.hasOwnProperty(key)) {
+            byFilter[key] = { filter: lights[i].chars.filter, lights: [] };
+            groups.push(byFilter[key]);
+        }
+        byFilter[key].lights.push(lights[i]);
+    }
+    groups.sort(function(a, b) { return b.lights.length - a.lights.length; });
+    for (var i = 0; i < groups.length; i++) {
+        var fg = groups[i];
+        fg.expGroups = groupLightsByExposure(fg.lights);
+        fg.chars = fg.expGroups[0].chars;
+        for (var j = 0; j < fg.expGroups.length; j++) {
+            var g = fg.expGroups[j], exp = g.exposure || "?";
+            g.filter = fg.filter;
+            g.key    = groups.length > 1 ? filterDirName(fg.filter) + ":" + exp : exp;
+            g.label  = groups.length > 1 ? (fg.filter || NO_FILTER) + " " + exp + "s" : exp + "s";
+        }
+    }
+    return groups;
+}
+
+// The exposure groups of every filter group, in order.
+function exposureGroupsOf(filterGroups) {
+    var groups = [];
+    for (var i = 0; i < filterGroups.length; i++) groups = groups.concat(filterGroups[i].expGroups);
+    return groups;
 }
 
 // Collect all .fit files in a directory (no recursion, no thumbnails).
@@ -283,6 +1317,64 @@ function fitFilesIn(dir) {
     return files;
 }
 
+// ── FITS headers ─────────────────────────────────────────────
+// Reads the FITS keywords of an image file without loading its pixels.
+// Returns { NAME: "value", ... } with quotes and padding stripped, or
+// null if the file cannot be opened.
+function readFitsKeywords(filePath) {
+    var format = new FileFormat(File.extractExtension(filePath), true/*read*/, false/*write*/);
+    if (format.isNull) return null;
+    var f = new FileFormatInstance(format);
+    if (f.isNull) return null;
+    var info = f.open(filePath, "verbosity 0");
+    if (!info || info.length === 0) { f.close(); return null; }
+    var keywords = format.canStoreKeywords ? f.keywords : [];
+    f.close();
+    var result = {};
+    for (var i = 0; i < keywords.length; i++)
+        result[keywords[i].name.trim()] = keywords[i].strippedValue.trim();
+    return result;
+}
+
+// First keyword in `names` that is present and numeric, or null.
+function keywordNumber(keywords, names) {
+    if (!keywords) return null;
+    for (var i = 0; i < names.length; i++) {
+        if (keywords.hasOwnProperty(names[i])) {
+            var v = parseFloat(keywords[names[i]]);
+            if (!isNaN(v)) return v;
+        }
+    }
+    return null;
+}
+
+// Acquisition characteristics of a frame from its FITS header:
+//   { exposure, gain, offset, setTemp, ccdTemp, binning, bayerPattern, filter, camera }
+// Missing keywords come back as null.
+function frameCharacteristics(filePath) {
+    var kw = readFitsKeywords(filePath);
+    return {
+        exposure:     keywordNumber(kw, ["EXPTIME", "EXPOSURE"]),
+        gain:         keywordNumber(kw, ["GAIN"]),
+        offset:       keywordNumber(kw, ["OFFSET"]),
+        setTemp:      keywordNumber(kw, ["SET-TEMP", "SET_TEMP"]),
+        ccdTemp:      keywordNumber(kw, ["CCD-TEMP", "CCD_TEMP"]),
+        binning:      keywordNumber(kw, ["XBINNING"]),
+        bayerPattern: (kw && kw.hasOwnProperty("BAYERPAT")) ? kw["BAYERPAT"] : null,
+        filter:       (kw && kw.hasOwnProperty("FILTER") && kw["FILTER"] !== "") ? kw["FILTER"] : null,
+        camera:       (kw && kw.hasOwnProperty("INSTRUME") && kw["INSTRUME"] !== "") ? kw["INSTRUME"] : null
+    };
+}
+
+// Short human-readable description of frame characteristics.
+function describeCharacteristics(c) {
+    function v(x, unit) { return (x === null || x === undefined) ? "?" : x + unit; }
+    var temp = (c.setTemp !== null && c.setTemp !== undefined) ? c.setTemp : c.ccdTemp;
+    return "gain " + v(c.gain, "") + ", offset " + v(c.offset, "") +
+           ", " + v(temp, "\u00b0C") +
+           ", bin " + v(c.binning, "");
+}
+
 // ── Calibration date search ──────────────────────────────────
 // Returns a date string offset by `days` from the given YYYY-MM-DD string.
 function offsetDate(dateStr, days) {
@@ -315,11 +1407,285 @@ function findCalibDir(sessionDate, subPath) {
     return null;
 }
 
-// ── Step 2: Master dark ───────────────────────────────────────
+// ── Header-based calibration matching ────────────────────────
+// Compares calibration-frame characteristics with the lights' on `fields`
+// (gain, offset, temp, binning, bayer). refLabel names the reference
+// frames in messages ("lights" unless given). Returns the out-of-tolerance
+// ones as [{ field, policy, message }].
+function compareCharacteristics(lightChars, calibChars, fields, refLabel) {
+    refLabel = refLabel || "lights";
+    var labels = { gain: "gain", offset: "offset", temp: "CCD temp", binning: "binning", bayer: "BAYERPAT" };
+    var mismatches = [];
+    for (var i = 0; i < fields.length; i++) {
+        var f = fields[i];
+        var a, b;
+        if (f === "bayer") {
+            a = lightChars.bayerPattern; b = calibChars.bayerPattern;
+            if (a === null || b === null || a === b) continue;
+            mismatches.push({ field: f, policy: CALIB_MISMATCH_POLICY[f],
+                              message: labels[f] + " " + b + " vs " + refLabel + " " + a });
+            continue;
+        }
+        if (f === "temp") {
+            a = lightChars.ccdTemp !== null ? lightChars.ccdTemp : lightChars.setTemp;
+            b = calibChars.ccdTemp !== null ? calibChars.ccdTemp : calibChars.setTemp;
+        } else {
+            a = lightChars[f]; b = calibChars[f];
+        }
+        if (a === null || b === null) continue;  // not recorded — cannot compare
+        var tol = CALIB_MATCH_TOLERANCE[f];
+        if (Math.abs(a - b) > tol)
+            mismatches.push({ field: f, policy: CALIB_MISMATCH_POLICY[f],
+                              message: labels[f] + " " + b + " vs " + refLabel + " " + a + " (tolerance \u00b1" + tol + ")" });
+    }
+    return mismatches;
+}
+
+// Lists every dark folder (NAS_RAW_ROOT/<date>/<kind>/<any>/) within
+// CALIB_DATE_TOLERANCE_DAYS of sessionDate, characterised from the header
+// of its first frame. kind is "darks" or "darkflats". Ordered like
+// findCalibDir: same date, +1, -1, ...
+// Returns [{ dir, date, dayOffset, files, chars }].
+function findDarkCandidates(sessionDate, kind) {
+    var candidates = [];
+    for (var delta = 0; delta <= CALIB_DATE_TOLERANCE_DAYS; delta++) {
+        var offsets = delta === 0 ? [0] : [delta, -delta];
+        for (var oi = 0; oi < offsets.length; oi++) {
+            var candidateDate = offsetDate(sessionDate, offsets[oi]);
+            var darksRoot = NAS_RAW_ROOT + "/" + candidateDate + "/" + kind;
+            var ff = new FileFind;
+            if (!ff.begin(darksRoot + "/*")) continue;
+            do {
+                if (!ff.isDirectory || ff.name === "." || ff.name === "..") continue;
+                var dir = darksRoot + "/" + ff.name;
+                var files = fitFilesIn(dir);
+                if (files.length === 0) continue;
+                var chars = frameCharacteristics(files[0]);
+                if (chars.exposure === null) {
+                    // No EXPTIME — fall back to the <exp>s folder name
+                    var m = ff.name.match(/^(\d+(?:\.\d+)?)s$/i);
+                    if (m) chars.exposure = parseFloat(m[1]);
+                }
+                candidates.push({ dir: dir, date: candidateDate, dayOffset: offsets[oi],
+                                  files: files, chars: chars });
+            } while (ff.next());
+            ff.end();
+        }
+    }
+    return candidates;
+}
+
+// Picks the dark folder for lights with characteristics lightChars.
+// Candidates must match the exposure within tolerance; among those, any
+// "reject"/"error" mismatch disqualifies a folder, and the folder with the
+// fewest "warn" mismatches (then the nearest date) wins. "error" mismatches
+// are only reported when no folder matched.
+// kind: "darks" (default) or "darkflats" (lightChars are then the flats').
+// Returns { match, warnings: [msg], rejected: [msg], errors: [msg] }.
+function matchDark(lightChars, sessionDate, kind) {
+    var result = { match: null, warnings: [], rejected: [], errors: [] };
+    if (lightChars.exposure === null) return result;
+    kind = kind || "darks";
+    var candidates = findDarkCandidates(sessionDate, kind);
+    var bestWarn = null, errors = [];
+    for (var i = 0; i < candidates.length; i++) {
+        var c = candidates[i];
+        if (c.chars.exposure === null ||
+                Math.abs(c.chars.exposure - lightChars.exposure) > CALIB_MATCH_TOLERANCE.exposure)
+            continue;
+        var mismatches = compareCharacteristics(lightChars, c.chars, ["gain", "offset", "temp", "binning"],
+                                                kind === "darkflats" ? "flats" : "lights");
+        var warns = [], fatal = false;
+        for (var j = 0; j < mismatches.length; j++) {
+            var note = c.dir + ": " + mismatches[j].message;
+            if (mismatches[j].policy === "warn") {
+                warns.push(note);
+            } else {
+                fatal = true;
+                (mismatches[j].policy === "error" ? errors : result.rejected).push(note);
+            }
+        }
+        if (fatal) continue;
+        if (result.match === null || warns.length < bestWarn.length) {
+            result.match = c;
+            bestWarn = warns;
+        }
+    }
+    if (result.match !== null) result.warnings = bestWarn;
+    else result.errors = errors;
+    return result;
+}
+
+// Checks the flat folder against the lights (binning, BAYERPAT).
+// Returns { warnings, rejected, errors } like matchDark.
+function checkFlats(lightChars, flatFiles) {
+    var result = { warnings: [], rejected: [], errors: [] };
+    if (flatFiles.length === 0) return result;
+    var mismatches = compareCharacteristics(lightChars, frameCharacteristics(flatFiles[0]), ["binning", "bayer"]);
+    for (var i = 0; i < mismatches.length; i++) {
+        var note = "flats: " + mismatches[i].message;
+        var p = mismatches[i].policy;
+        (p === "warn" ? result.warnings : p === "error" ? result.errors : result.rejected).push(note);
+    }
+    return result;
+}
+
+// Finds the flats for lights shot through `filter` (null: not recorded)
+// within CALIB_DATE_TOLERANCE_DAYS: the flats/<filter>/ folder when there
+// is one, otherwise the frames in flats/ whose FILTER keyword is `filter`
+// or missing. result.filter is set when flats/ held other filters too, so
+// the master gets its own name. Returns { result, files, others } or null
+// when no flats folder was found; others counts the frames left out.
+function findFlats(dateStr, filter) {
+    if (filter !== null) {
+        var sub = findCalibDir(dateStr, "flats/" + filterDirName(filter));
+        if (sub) return { result: sub, files: fitFilesIn(sub.dir), others: 0 };
+    }
+    var root = findCalibDir(dateStr, "flats");
+    if (!root) return null;
+    var all = fitFilesIn(root.dir);
+    if (filter === null) return { result: root, files: all, others: 0 };
+    var files = all.filter(function(f){
+        var flatFilter = frameCharacteristics(f).filter;
+        return flatFilter === null || flatFilter === filter;
+    });
+    if (files.length < all.length) root.filter = filter;
+    return { result: root, files: files, others: all.length - files.length };
+}
+
+// Characteristics of a flat folder from its first frame. ASIAIR flats are
+// short, so the filename fallback also understands "Flat_1500.0ms_...".
+function flatCharacteristics(flatFiles) {
+    var chars = frameCharacteristics(flatFiles[0]);
+    if (chars.exposure === null) {
+        var m = File.extractName(flatFiles[0]).match(/_(\d+(?:\.\d+)?)(ms|s)_Bin/i);
+        if (m) chars.exposure = parseFloat(m[1]) / (m[2].toLowerCase() === "ms" ? 1000 : 1);
+    }
+    return chars;
+}
+
+// Finds the darks for one exposure group: same-night match first, then
+// the library. Fills in group.darkMatch, group.darkResult, group.libraryDark
+// and group.darkStatus (the "AVAILABLE"/"LIBRARY"/"NOT USED" summary line).
+function planGroupDark(group, dateStr) {
+    var exp = group.exposure;
+    group.darkMatch = (exp && group.chars) ? matchDark(group.chars, dateStr)
+                                           : { match: null, warnings: [], rejected: [], errors: [] };
+    group.darkResult  = group.darkMatch.match;
+    group.libraryDark = (exp && !group.darkResult) ? findLibraryDark(group.chars, dateStr) : null;
+    group.masterDark  = null;
+
+    if (!exp) {
+        group.darkStatus = "\u2717 NOT USED \u2014 could not determine light exposure length";
+    } else if (!group.darkResult && group.libraryDark) {
+        var lib = group.libraryDark;
+        var libOffsetNote = lib.dayOffset === 0 ? "same date" :
+            (lib.dayOffset > 0 ? "+" : "") + lib.dayOffset + " day(s) (" + lib.entry.date + ")";
+        group.darkStatus = "\u2713 LIBRARY \u2014 no darks within \u00b1" + CALIB_DATE_TOLERANCE_DAYS +
+                     " day(s); library master " + exp + "s [" + libOffsetNote + "; " +
+                     describeCharacteristics(lib.entry) + "] from " + lib.entry.path;
+    } else if (!group.darkResult) {
+        group.darkStatus = "\u2717 NOT USED \u2014 " +
+                     (group.darkMatch.rejected.length > 0
+                         ? "darks for " + exp + "s rejected (" + group.darkMatch.rejected.join("; ") + ")"
+                         : "no darks found for " + exp + "s") +
+                     " within \u00b1" + CALIB_DATE_TOLERANCE_DAYS + " day(s) of " + dateStr +
+                     (CALIB_LIBRARY_ENABLED ? "; no library master matches " +
+                         describeCharacteristics(group.chars) + " within " + CALIB_LIBRARY_MAX_AGE_DAYS + " days" : "");
+    } else {
+        var dr = group.darkResult;
+        var darkOffsetNote = dr.dayOffset === 0 ? "same date" :
+            (dr.dayOffset > 0 ? "+" : "") + dr.dayOffset + " day(s) (" + dr.date + ")";
+        group.darkStatus = "\u2713 AVAILABLE \u2014 " + dr.files.length + " \u00d7 " + exp +
+                     "s frames [" + darkOffsetNote + "; " + describeCharacteristics(dr.chars) +
+                     "] from " + dr.dir;
+    }
+}
+
+// Whole days from dateA to dateB (both YYYY-MM-DD); positive if B is later.
+function daysBetween(dateA, dateB) {
+    function parse(d) { var p = d.split("-"); return Date.UTC(+p[0], +p[1] - 1, +p[2]); }
+    return Math.round((parse(dateB) - parse(dateA)) / 86400000);
+}
+
+// ── Master dark library ──────────────────────────────────────
+var g_darkLibrary = null;  // loaded lazily from CALIB_LIBRARY_INDEX
+
+function loadDarkLibrary() {
+    if (g_darkLibrary !== null) return g_darkLibrary;
+    g_darkLibrary = { entries: [] };
+    if (fileExists(CALIB_LIBRARY_INDEX)) {
+        try {
+            g_darkLibrary = JSON.parse(File.readTextFile(CALIB_LIBRARY_INDEX));
+        } catch (e) {
+            log("  WARNING: cannot read dark library " + CALIB_LIBRARY_INDEX + ": " + e.message);
+        }
+    }
+    return g_darkLibrary;
+}
+
+// Adds or refreshes a master dark in the library index. The dark's
+// characteristics are read from one of its raw frames, since the master
+// itself does not reliably carry the acquisition keywords.
+function registerLibraryDark(masterFile, calibDate, darkRawFiles) {
+    if (!CALIB_LIBRARY_ENABLED || darkRawFiles.length === 0) return;
+    var library = loadDarkLibrary();
+    var c = frameCharacteristics(darkRawFiles[0]);
+    var entry = {
+        path:     masterFile,
+        date:     calibDate,
+        exposure: c.exposure,
+        gain:     c.gain,
+        offset:   c.offset,
+        setTemp:  c.setTemp !== null ? c.setTemp : (c.ccdTemp !== null ? Math.round(c.ccdTemp) : null),
+        binning:  c.binning,
+        frames:   darkRawFiles.length,
+        indexed:  (new Date()).toISOString()
+    };
+    for (var i = 0; i < library.entries.length; i++) {
+        if (library.entries[i].path === masterFile) {
+            library.entries[i] = entry;
+            File.writeTextFile(CALIB_LIBRARY_INDEX, JSON.stringify(library, null, 2));
+            return;
+        }
+    }
+    library.entries.push(entry);
+    File.writeTextFile(CALIB_LIBRARY_INDEX, JSON.stringify(library, null, 2));
+    log("  Master dark added to library: " + masterFile);
+}
+
+// Finds the library master dark closest in date to sessionDate that
+// matches the light characteristics. Returns { entry, dayOffset } or
+// null. Masters whose files have gone missing are ignored.
+function findLibraryDark(lightChars, sessionDate) {
+    if (!CALIB_LIBRARY_ENABLED || lightChars.exposure === null) return null;
+    var lightTemp = lightChars.setTemp !== null ? lightChars.setTemp :
+                    (lightChars.ccdTemp !== null ? Math.round(lightChars.ccdTemp) : null);
+    var entries = loadDarkLibrary().entries;
+    var best = null;
+    for (var i = 0; i < entries.length; i++) {
+        var e = entries[i];
+        if (e.exposure === null || Math.abs(e.exposure - lightChars.exposure) > 0.01) continue;
+        if (e.gain !== lightChars.gain || e.offset !== lightChars.offset) continue;
+        if (e.binning !== lightChars.binning) continue;
+        if (lightTemp !== null && (e.setTemp === null ||
+                Math.abs(e.setTemp - lightTemp) > CALIB_LIBRARY_TEMP_TOLERANCE)) continue;
+        var offset = daysBetween(sessionDate, e.date);
+        if (Math.abs(offset) > CALIB_LIBRARY_MAX_AGE_DAYS) continue;
+        if (!fileExists(e.path)) continue;
+        if (best === null || Math.abs(offset) < Math.abs(best.dayOffset))
+            best = { entry: e, dayOffset: offset };
+    }
+    return best;
+}
+
+// ── Step 1: Master dark ──────────────────────────────────────
 // Integrates raw dark frames (no debayer — darks are mono CFA) into a master.
+// Also used for master bias and master dark-flats, which integrate the same way.
 // outputFile: full path for the master dark xisf.
+// mono: the frames are from a mono camera (no CFA input hint).
 // Returns the output path on success, null if no frames available.
-function buildMasterDark(darkRawFiles, outputFile) {
+function buildMasterDark(darkRawFiles, outputFile, mono) {
     if (!darkRawFiles || darkRawFiles.length === 0) return null;
 
     var images = [];
@@ -328,7 +1694,8 @@ function buildMasterDark(darkRawFiles, outputFile) {
 
     var II = new ImageIntegration;
     II.images                   = images;
-    II.inputHints               = "fits-keywords normalize raw cfa use-roworder-keywords signed-is-physical";
+    II.inputHints               = "fits-keywords normalize raw" + (mono ? "" : " cfa") +
+                                  " use-roworder-keywords signed-is-physical";
     II.combination              = ImageIntegration.prototype.Average;
     II.weightMode               = ImageIntegration.prototype.NoiseEvaluation;
     II.normalization            = ImageIntegration.prototype.NoNormalization;
@@ -386,21 +1753,43 @@ function buildMasterDark(darkRawFiles, outputFile) {
     return outputFile;
 }
 
-// ── Step 2: Master flat ───────────────────────────────────────
+// Builds a master bias or dark-flat from raw frames, or reuses one built
+// earlier in this run or already on disk. label: "bias" or "dark-flat".
+// mono: as for buildMasterDark. Returns the master path.
+function prepareCalibMaster(rawFiles, outputFile, label, mono) {
+    if (g_masterBiasCache.hasOwnProperty(outputFile)) {
+        log("  Master " + label + " reused from this run: " + outputFile);
+    } else if (fileExists(outputFile) && !stepForced(2)) {
+        log("  Master " + label + " already exists, skipping rebuild: " + outputFile);
+    } else {
+        log("  Building master " + label + " (" + rawFiles.length + " frames)...");
+        buildMasterDark(rawFiles, outputFile, mono);
+        closeAllWindows();
+        log("  Master " + label + ": " + outputFile);
+    }
+    g_masterBiasCache[outputFile] = outputFile;
+    return outputFile;
+}
+
+// ── Step 2: Master flat ──────────────────────────────────────
 // Integrates raw CFA flat frames directly (no debayer).
 // This matches WBPP behaviour: flat is a CFA master, applied to raw
-// CFA lights before debayering. masterDarkFile may be null.
+// CFA lights before debayering.
+// flatCalib: { darkFlat, bias } master paths, either may be null. An
+// exposure-matched dark-flat is preferred; otherwise the bias is used.
+// mono: the flats are mono frames, calibrated without CFA handling.
 // Returns the output path on success, null if no frames available.
-function buildMasterFlat(flatRawFiles, masterDarkFile, outputFile) {
+function buildMasterFlat(flatRawFiles, flatCalib, outputFile, mono) {
     if (!flatRawFiles || flatRawFiles.length === 0) return null;
 
-    // Step A: calibrate raw flats with dark (if available) via ImageCalibration
-    // This removes dark current from flats before integration.
-    var flatsToIntegrate = flatRawFiles;  // use raw flats directly if no dark
+    // Step A: calibrate raw flats with dark-flat or bias via ImageCalibration
+    // This removes bias/dark current from flats before integration.
+    var flatsToIntegrate = flatRawFiles;  // use raw flats directly if neither
+    var preCalibrate = flatCalib.darkFlat !== null || flatCalib.bias !== null;
     // Use local temp dir to avoid SMB folder creation issues
     var calibFlatDir = File.systemTempDirectory + "/flat_calib_tmp";
 
-    if (masterDarkFile !== null) {
+    if (preCalibrate) {
         // Create local temp dir directly via PI file API
         if (!File.directoryExists(calibFlatDir)) {
             if (!File.createDirectory(calibFlatDir, true))
@@ -411,15 +1800,17 @@ function buildMasterFlat(flatRawFiles, masterDarkFile, outputFile) {
         for (var i = 0; i < flatRawFiles.length; i++)
             flatTargets.push([true, flatRawFiles[i]]);
         ICF.targetFrames            = flatTargets;
-        ICF.enableCFA               = true;
+        ICF.enableCFA               = !mono;
         ICF.cfaPattern              = ImageCalibration.prototype.Auto;
-        ICF.inputHints              = "fits-keywords normalize only-first-image raw cfa use-roworder-keywords signed-is-physical";
+        ICF.inputHints              = "fits-keywords normalize only-first-image raw" + (mono ? "" : " cfa") +
+                                      " use-roworder-keywords signed-is-physical";
         ICF.outputHints             = "properties fits-keywords no-compress-data block-alignment 4096 max-inline-block-size 3072 no-embedded-data no-resolution ";
         ICF.pedestal                = 0;
         ICF.pedestalMode            = ImageCalibration.prototype.Keyword;
-        ICF.masterBiasEnabled       = false;
-        ICF.masterDarkEnabled       = true;
-        ICF.masterDarkPath          = masterDarkFile;
+        ICF.masterBiasEnabled       = (flatCalib.darkFlat === null);
+        ICF.masterBiasPath          = (flatCalib.darkFlat === null) ? flatCalib.bias : "";
+        ICF.masterDarkEnabled       = (flatCalib.darkFlat !== null);
+        ICF.masterDarkPath          = flatCalib.darkFlat || "";
         ICF.masterFlatEnabled       = false;
         ICF.calibrateBias           = true;
         ICF.calibrateDark           = false;
@@ -444,7 +1835,8 @@ function buildMasterFlat(flatRawFiles, masterDarkFile, outputFile) {
         ICF.maxFileWriteThreads     = 0;
 
         if (!ICF.executeGlobal())
-            throw new Error("Flat pre-calibration (dark subtraction) failed.");
+            throw new Error("Flat pre-calibration (" + (flatCalib.darkFlat !== null ? "dark-flat" : "bias") +
+                            " subtraction) failed.");
 
         // Collect calibrated flat files
         var calibFlats = [];
@@ -455,7 +1847,8 @@ function buildMasterFlat(flatRawFiles, masterDarkFile, outputFile) {
         }
         if (calibFlats.length > 0) {
             flatsToIntegrate = calibFlats;
-            log("  Pre-calibrated " + calibFlats.length + " flat frames with master dark.");
+            log("  Pre-calibrated " + calibFlats.length + " flat frames with master " +
+                (flatCalib.darkFlat !== null ? "dark-flat." : "bias."));
         }
     }
 
@@ -466,7 +1859,7 @@ function buildMasterFlat(flatRawFiles, masterDarkFile, outputFile) {
 
     var II = new ImageIntegration;
     II.images                   = images;
-    II.inputHints               = (masterDarkFile !== null) ? "" :
+    II.inputHints               = preCalibrate ? "" :
                                    "fits-keywords normalize raw cfa use-roworder-keywords signed-is-physical";
     II.combination              = ImageIntegration.prototype.Average;
     II.weightMode               = ImageIntegration.prototype.NoiseEvaluation;
@@ -521,7 +1914,7 @@ function buildMasterFlat(flatRawFiles, masterDarkFile, outputFile) {
     File.remove(localTmp);
 
     // Clean up temp calibrated flat files
-    if (masterDarkFile !== null) {
+    if (preCalibrate) {
         for (var i = 0; i < flatsToIntegrate.length; i++)
             if (fileExists(flatsToIntegrate[i])) File.remove(flatsToIntegrate[i]);
     }
@@ -533,9 +1926,12 @@ function buildMasterFlat(flatRawFiles, masterDarkFile, outputFile) {
 // Applies master dark and/or master flat to raw CFA light subs.
 // Inputs are raw .fit files; outputs are calibrated CFA .xisf files.
 // Uses WBPP-proven IC settings (enableCFA=true, CFA-aware processing).
-// masterDarkFile and masterFlatFile may be null.
+// masterDarkFile, masterFlatFile and masterBiasFile may be null. With both a
+// bias and a dark, the dark is bias-subtracted too (calibrateDark) so the
+// bias is not removed twice. mono: the lights are mono frames (no CFA).
 // Returns array of calibrated output file paths.
-function runImageCalibration(rawFitFiles, outputDir, masterDarkFile, masterFlatFile) {
+function runImageCalibration(rawFitFiles, outputDir, masterDarkFile, masterFlatFile, masterBiasFile, mono) {
+    masterBiasFile = masterBiasFile || null;
     var IC = new ImageCalibration;
 
     // targetFrames format: [[enabled, path], ...]
@@ -545,9 +1941,10 @@ function runImageCalibration(rawFitFiles, outputDir, masterDarkFile, masterFlatF
     IC.targetFrames            = inputFilesArray;
 
     // CFA-mode: calibrate raw Bayer pattern before debayering
-    IC.enableCFA               = true;
+    IC.enableCFA               = !mono;
     IC.cfaPattern              = ImageCalibration.prototype.Auto;
-    IC.inputHints              = "fits-keywords normalize only-first-image raw cfa use-roworder-keywords signed-is-physical";
+    IC.inputHints              = "fits-keywords normalize only-first-image raw" + (mono ? "" : " cfa") +
+                                 " use-roworder-keywords signed-is-physical";
     IC.outputHints             = "properties fits-keywords no-compress-data block-alignment 4096 max-inline-block-size 3072 no-embedded-data no-resolution ";
     IC.pedestal                = 0;
     IC.pedestalMode            = ImageCalibration.prototype.Keyword;
@@ -561,22 +1958,23 @@ function runImageCalibration(rawFitFiles, outputDir, masterDarkFile, masterFlatF
     IC.overwriteExistingFiles  = true;
     IC.onError                 = ImageCalibration.prototype.Continue;
 
-    // Master dark
-    IC.masterBiasEnabled       = false;
+    // Master bias / dark / flat
+    IC.masterBiasEnabled       = (masterBiasFile !== null);
+    IC.masterBiasPath          = masterBiasFile || "";
     IC.masterDarkEnabled       = (masterDarkFile !== null);
     IC.masterDarkPath          = masterDarkFile || "";
     IC.masterFlatEnabled       = (masterFlatFile !== null);
     IC.masterFlatPath          = masterFlatFile || "";
 
     IC.calibrateBias           = true;
-    IC.calibrateDark           = false;
+    IC.calibrateDark           = (masterBiasFile !== null && masterDarkFile !== null);
     IC.calibrateFlat           = false;
     IC.optimizeDarks           = false;  // exact exposure match
     IC.darkOptimizationThreshold = 0.00000;
     IC.darkOptimizationLow     = 3.0000;
     IC.darkOptimizationWindow  = 0;
     IC.darkCFADetectionMode    = ImageCalibration.prototype.DetectCFA;
-    IC.separateCFAFlatScalingFactors = true;
+    IC.separateCFAFlatScalingFactors = !mono;
     IC.flatScaleClippingFactor = 0.05;
 
     IC.evaluateNoise           = true;
@@ -603,6 +2001,7 @@ function runImageCalibration(rawFitFiles, outputDir, masterDarkFile, masterFlatF
 
     log("  IC targetFrames: " + inputFilesArray.length + " raw CFA files");
     log("  IC outputDirectory: " + IC.outputDirectory);
+    log("  IC masterBias: " + (IC.masterBiasEnabled ? IC.masterBiasPath : "none"));
     log("  IC masterDark: " + (IC.masterDarkEnabled ? IC.masterDarkPath : "none"));
     log("  IC masterFlat: " + (IC.masterFlatEnabled ? IC.masterFlatPath : "none"));
 
@@ -627,15 +2026,121 @@ function runImageCalibration(rawFitFiles, outputDir, masterDarkFile, masterFlatF
     return outputFiles;
 }
 
+// ── Step 3: CosmeticCorrection ───────────────────────────────
+// Hot pixel level of a master dark: median + COSMETIC_HOT_SIGMA sigma
+// (MAD-based), as a fraction of the range.
+function darkHotLevel(masterDarkFile) {
+    var wins = ImageWindow.open(masterDarkFile);
+    if (!wins || wins.length === 0 || wins[0].isNull)
+        throw new Error("Cannot open master dark: " + masterDarkFile);
+    var image = wins[0].mainView.image;
+    var level = Math.range(image.median() + COSMETIC_HOT_SIGMA * image.MAD() * 1.4826, 0, 1);
+    wins[0].forceClose();
+    return level;
+}
 
-// Opens each .fit with CFA format hints so PI reads BAYERPAT correctly.
-// executeOn() modifies the view in-place; we then find the resulting RGB
-// window by channel count and save it before closing all windows.
-function runDebayer(inputFiles, outputDir) {
-    var outputFiles = [];
-    var toProcess = inputFiles;
-    for (var i = 0; i < toProcess.length; i++) {
-        var inFile  = toProcess[i];
+// Pixels CosmeticCorrection reports as corrected in each input, read from
+// the console output it wrote while logging was captured: the text is split
+// at each input's file name (in target order) and the counts on its
+// "... pixels: N" lines are added up. Returns { <input>: pixels or null }.
+function cosmeticCounts(consoleText, inputFiles) {
+    var counts = {}, at = [];
+    var pos = 0;
+    for (var i = 0; i < inputFiles.length; i++) {
+        var k = consoleText.indexOf(File.extractName(inputFiles[i]), pos);
+        at.push(k);
+        if (k >= 0) pos = k;
+    }
+    for (var i = 0; i < inputFiles.length; i++) {
+        counts[inputFiles[i]] = null;
+        if (at[i] < 0) continue;
+        var end = consoleText.length;
+        for (var j = i + 1; j < at.length; j++)
+            if (at[j] > at[i]) { end = at[j]; break; }
+        var re = /pixels?[^\n\d]*:\s*(\d+)/gi, m;
+        var segment = consoleText.substring(at[i], end);
+        while ((m = re.exec(segment)) !== null)
+            counts[inputFiles[i]] = (counts[inputFiles[i]] || 0) + parseInt(m[1], 10);
+    }
+    return counts;
+}
+
+// CFA CosmeticCorrection of one exposure group's subs → <sub>_cc.xisf.
+// camera: the lights' INSTRUME, for COSMETIC_DEFECT_LISTS.
+// mono: the subs are mono frames (no CFA).
+// Always runs: auto-detection stands in when there is no master dark.
+// Returns { files, corrected: { <light>: pixels }, sources: [text] }; files
+// are the _cc.xisf outputs that were written.
+function runCosmeticCorrection(inputFiles, outputDir, masterDarkFile, camera, mono) {
+    var useDark = COSMETIC_MODE !== "auto" && masterDarkFile !== null;
+    var useAuto = COSMETIC_MODE !== "dark" || !useDark;
+    var defects = (camera && COSMETIC_DEFECT_LISTS.hasOwnProperty(camera)) ? COSMETIC_DEFECT_LISTS[camera] : [];
+    var sources = [];
+    if (useAuto) sources.push("auto \u00b1" + COSMETIC_HOT_SIGMA + "/" + COSMETIC_COLD_SIGMA + "\u03c3");
+    if (useDark) sources.push("master dark");
+    if (defects.length > 0) sources.push(defects.length + " defect(s) for " + camera);
+    if (COSMETIC_MODE === "dark" && masterDarkFile === null)
+        log("  No master dark \u2014 CosmeticCorrection uses auto-detection.");
+
+    var CC = new CosmeticCorrection;
+    CC.targetFrames    = inputFiles.map(function(f){ return [true, f]; });
+    CC.outputDir       = outputDir;
+    CC.outputExtension = ".xisf";
+    CC.prefix          = "";
+    CC.postfix         = "_cc";
+    CC.overwrite       = true;
+    CC.cfa             = !mono;
+    CC.amount          = 1.00;
+    CC.useMasterDark   = useDark;
+    CC.masterDarkPath  = useDark ? masterDarkFile : "";
+    CC.hotDarkCheck    = useDark;
+    CC.hotDarkLevel    = useDark ? darkHotLevel(masterDarkFile) : 1.0;
+    CC.coldDarkCheck   = false;
+    CC.coldDarkLevel   = 0.0;
+    CC.useAutoDetect   = useAuto;
+    CC.hotAutoCheck    = useAuto;
+    CC.hotAutoValue    = COSMETIC_HOT_SIGMA;
+    CC.coldAutoCheck   = useAuto;
+    CC.coldAutoValue   = COSMETIC_COLD_SIGMA;
+    CC.useDefectList   = defects.length > 0;
+    // defects format: [enabled, isRow, address, isRange, begin, end]
+    CC.defects         = defects.map(function(d){
+        var isRow = d.hasOwnProperty("row");
+        return [true, isRow, isRow ? d.row : d.column, d.hasOwnProperty("from"), d.from || 0, d.to || 0];
+    });
+    log("  CC defect sources: " + sources.join(", ") +
+        (useDark ? " (dark level " + CC.hotDarkLevel.toFixed(5) + ")" : ""));
+
+    Console.beginLog();
+    var ok = CC.executeGlobal();
+    var counts = cosmeticCounts(Console.endLog().toString(), inputFiles);
+    if (!ok)
+        throw new Error("CosmeticCorrection failed.");
+
+    var outputFiles = [], corrected = {};
+    for (var i = 0; i < inputFiles.length; i++) {
+        var outFile = outputDir + "/" + File.extractName(inputFiles[i]) + "_cc.xisf";
+        if (!fileExists(outFile)) {
+            log("  WARNING: expected CosmeticCorrection output not found: " + outFile);
+            continue;
+        }
+        outputFiles.push(outFile);
+        var n = counts[inputFiles[i]];
+        corrected[lightBaseName(outFile)] = n;
+        log("  " + File.extractName(outFile) + ": " + (n === null ? "?" : n) + " pixels corrected");
+    }
+    return { files: outputFiles, corrected: corrected, sources: sources };
+}
+
+// ── Step 4: Debayer ──────────────────────────────────────────
+// Opens each .fit with CFA format hints so PI reads BAYERPAT correctly.
+// executeOn() modifies the view in-place; we then find the resulting RGB
+// window by channel count and save it before closing all windows.
+function runDebayer(inputFiles, outputDir) {
+    var outputFiles = [];
+    var toProcess = inputFiles;
+    for (var i = 0; i < toProcess.length; i++) {
+        var inFile  = toProcess[i];
         var base    = File.extractName(inFile);
         var outFile = outputDir + "/" + base + "_d.xisf";  // base already has _c suffix
 
@@ -677,7 +2182,307 @@ function runDebayer(inputFiles, outputDir) {
     return outputFiles;
 }
 
-// ── Step 5: LocalNormalization ───────────────────────────────
+// ── Step 5: Subframe grading ─────────────────────────────────
+// Column layout of SubframeSelector.measurements (PI 1.8.9+), checked
+// against every run's rows by checkMeasurementLayout.
+var SS_COL = {
+    path:         3,
+    fwhm:         5,
+    eccentricity: 6,
+    psfSignal:    7,
+    median:       19,
+    noise:        21,
+    stars:        23
+};
+
+// Median of a numeric array. The input array is not modified.
+function median(values) {
+    if (values.length === 0) return 0;
+    var s = values.slice().sort(function(a, b) { return a - b; });
+    var mid = Math.floor(s.length / 2);
+    return (s.length % 2) ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+// Robust standard deviation estimate: 1.4826 × median absolute deviation.
+function robustSigma(values, med) {
+    var dev = [];
+    for (var i = 0; i < values.length; i++)
+        dev.push(Math.abs(values[i] - med));
+    return 1.4826 * median(dev);
+}
+
+// Throws unless the SubframeSelector.measurements rows fit SS_COL: each row
+// long enough, its path column one of the measured files, the star count a
+// non-negative integer and FWHM, eccentricity, PSF signal, median and noise
+// non-negative numbers (eccentricity at most 1). A PixInsight version that
+// reorders the columns then fails the step instead of grading on the wrong
+// metrics.
+function checkMeasurementLayout(rows, files) {
+    var known = {};
+    for (var i = 0; i < files.length; i++) known[normalizedPath(files[i])] = true;
+    var width = 0;
+    for (var key in SS_COL) width = Math.max(width, SS_COL[key] + 1);
+    function bad(i, what) {
+        return new Error("SubframeSelector measurements do not have the expected column layout (row " + i +
+                         ": " + what + ") \u2014 update SS_COL for this PixInsight version.");
+    }
+    for (var i = 0; i < rows.length; i++) {
+        var row = rows[i];
+        if (!row || row.length < width) throw bad(i, (row ? row.length : 0) + " columns, need " + width);
+        if (typeof row[SS_COL.path] !== "string" || !known[normalizedPath(row[SS_COL.path])])
+            throw bad(i, "column " + SS_COL.path + " is not a measured file");
+        var stars = row[SS_COL.stars];
+        if (typeof stars !== "number" || stars < 0 || stars !== Math.floor(stars))
+            throw bad(i, "column " + SS_COL.stars + " is not a star count");
+        var numeric = ["fwhm", "eccentricity", "psfSignal", "median", "noise"];
+        for (var j = 0; j < numeric.length; j++) {
+            var v = row[SS_COL[numeric[j]]];
+            if (typeof v !== "number" || !isFinite(v) || v < 0)
+                throw bad(i, "column " + SS_COL[numeric[j]] + " (" + numeric[j] + ") is not a non-negative number");
+        }
+        if (row[SS_COL.eccentricity] > 1)
+            throw bad(i, "column " + SS_COL.eccentricity + " (eccentricity) is above 1");
+    }
+}
+
+// Measures every frame with SubframeSelector (measure-only, no output files).
+// Returns one record per input file, in input order:
+//   { file, measured, fwhm, eccentricity, stars, psfSignal, noise, median }
+// Frames SubframeSelector could not measure come back with measured = false.
+function measureSubframes(files) {
+    var subframes = [];
+    for (var i = 0; i < files.length; i++)
+        subframes.push([true, files[i], "", ""]);
+
+    var SS = new SubframeSelector;
+    SS.routine                    = SubframeSelector.prototype.MeasureSubframes;
+    SS.nonInteractive             = true;
+    SS.subframes                  = subframes;
+    SS.fileCache                  = true;
+    SS.subframeScale              = 1.0;
+    SS.scaleUnit                  = SubframeSelector.prototype.Pixel;
+    SS.dataUnit                   = SubframeSelector.prototype.DataNumber;
+    SS.trimmingFactor             = 0.10;
+    SS.structureLayers            = 5;
+    SS.noiseLayers                = 0;
+    SS.hotPixelFilterRadius       = 1;
+    SS.noiseReductionFilterRadius = 0;
+    SS.sensitivity                = 0.10;  // same detection settings as StarAlignment
+    SS.peakResponse               = 0.80;
+    SS.maxDistortion              = 0.60;
+    SS.upperLimit                 = 1.0;
+    SS.psfFit                     = SubframeSelector.prototype.Moffat4;
+    SS.psfFitCircular             = false;
+    SS.maxPSFFits                 = 8000;
+
+    if (!SS.executeGlobal())
+        throw new Error("SubframeSelector measurement failed.");
+
+    // Index measurement rows by normalized path — rows are not guaranteed
+    // to come back in input order.
+    var byPath = {};
+    var rows = SS.measurements;
+    checkMeasurementLayout(rows, files);
+    for (var i = 0; i < rows.length; i++)
+        byPath[normalizedPath(rows[i][SS_COL.path])] = rows[i];
+
+    var records = [];
+    for (var i = 0; i < files.length; i++) {
+        var row = byPath[normalizedPath(files[i])];
+        records.push({
+            file:         files[i],
+            measured:     !!row && row[SS_COL.stars] > 0,
+            fwhm:         row ? row[SS_COL.fwhm]         : 0,
+            eccentricity: row ? row[SS_COL.eccentricity] : 0,
+            stars:        row ? row[SS_COL.stars]        : 0,
+            psfSignal:    row ? row[SS_COL.psfSignal]    : 0,
+            noise:        row ? row[SS_COL.noise]        : 0,
+            median:       row ? row[SS_COL.median]       : 0
+        });
+    }
+    return records;
+}
+
+// Computes the rejection limits for this session from GRADING_MODE.
+// Returns { maxFwhm, maxEccentricity, minStars, minPsfSignal, maxNoise };
+// a limit of 0 means "not checked".
+function gradingLimits(records) {
+    if (GRADING_MODE === "absolute") {
+        return {
+            maxFwhm:         GRADING_MAX_FWHM,
+            maxEccentricity: GRADING_MAX_ECCENTRICITY,
+            minStars:        GRADING_MIN_STARS,
+            minPsfSignal:    GRADING_MIN_PSF_SIGNAL,
+            maxNoise:        GRADING_MAX_NOISE
+        };
+    }
+    if (GRADING_MODE !== "sigma")
+        throw new Error("Unknown GRADING_MODE: " + GRADING_MODE);
+
+    // Statistics only over frames that were actually measured
+    var col = { fwhm: [], eccentricity: [], stars: [], psfSignal: [], noise: [] };
+    for (var i = 0; i < records.length; i++) {
+        if (!records[i].measured) continue;
+        for (var k in col) col[k].push(records[i][k]);
+    }
+    function upper(v) { var m = median(v); return m + GRADING_SIGMA * robustSigma(v, m); }
+    function lower(v) { var m = median(v); return Math.max(0, m - GRADING_SIGMA * robustSigma(v, m)); }
+    return {
+        maxFwhm:         upper(col.fwhm),
+        maxEccentricity: upper(col.eccentricity),
+        minStars:        lower(col.stars),
+        minPsfSignal:    lower(col.psfSignal),
+        maxNoise:        upper(col.noise)
+    };
+}
+
+// Writes the per-frame grading report as CSV and JSON into logsDir.
+// limits: { <group>: limits } as computed by gradeSubframes.
+function writeGradingReport(records, limits, logsDir) {
+    var csv = ["file,group,fwhm,eccentricity,stars,psf_signal,noise,median,status,reasons"];
+    for (var i = 0; i < records.length; i++) {
+        var r = records[i];
+        csv.push([
+            "\"" + File.extractNameAndExtension(r.file) + "\"", r.group,
+            r.fwhm.toFixed(3), r.eccentricity.toFixed(3), r.stars,
+            r.psfSignal.toExponential(4), r.noise.toExponential(4), r.median.toFixed(6),
+            r.accepted ? "accepted" : "rejected",
+            "\"" + r.reasons.join("; ") + "\""
+        ].join(","));
+    }
+    File.writeTextFile(logsDir + "/grading.csv", csv.join("\n") + "\n");
+    File.writeTextFile(logsDir + "/grading.json", JSON.stringify({
+        graded: (new Date()).toISOString(),
+        mode:   GRADING_MODE,
+        sigma:  GRADING_SIGMA,
+        limits: limits,
+        frames: records
+    }, null, 2));
+    log("  Grading report: " + logsDir + "/grading.csv");
+}
+
+// Measures and grades debayered subs, writes the report to logsDir.
+// groups: optional array parallel to files (e.g. exposure labels); sigma
+// limits are then computed separately for each group.
+// Returns { records, accepted: [file...], rejected: [record...], limits }
+// where limits is keyed by group ("all" when ungrouped).
+// If grading would leave fewer than GRADING_MIN_ACCEPTED frames, every
+// measured frame is kept and a warning is logged instead.
+function gradeSubframes(files, logsDir, groups) {
+    var records = measureSubframes(files);
+    var limitsByGroup = {}, members = {};
+    for (var i = 0; i < records.length; i++) {
+        records[i].group = groups ? groups[i] : "all";
+        if (!members[records[i].group]) members[records[i].group] = [];
+        members[records[i].group].push(records[i]);
+    }
+    for (var g in members)
+        limitsByGroup[g] = gradingLimits(members[g]);
+
+    for (var i = 0; i < records.length; i++) {
+        var r = records[i];
+        var limits = limitsByGroup[r.group];
+        var reasons = [];
+        if (!r.measured) {
+            reasons.push("not measured (no stars detected)");
+        } else {
+            if (limits.maxFwhm > 0 && r.fwhm > limits.maxFwhm)
+                reasons.push("FWHM " + r.fwhm.toFixed(2) + " > " + limits.maxFwhm.toFixed(2));
+            if (limits.maxEccentricity > 0 && r.eccentricity > limits.maxEccentricity)
+                reasons.push("eccentricity " + r.eccentricity.toFixed(2) + " > " + limits.maxEccentricity.toFixed(2));
+            if (limits.minStars > 0 && r.stars < limits.minStars)
+                reasons.push("stars " + r.stars + " < " + Math.round(limits.minStars));
+            if (limits.minPsfSignal > 0 && r.psfSignal < limits.minPsfSignal)
+                reasons.push("PSF signal " + r.psfSignal.toExponential(2) + " < " + limits.minPsfSignal.toExponential(2));
+            if (limits.maxNoise > 0 && r.noise > limits.maxNoise)
+                reasons.push("noise " + r.noise.toExponential(2) + " > " + limits.maxNoise.toExponential(2));
+        }
+        r.reasons  = reasons;
+        r.accepted = reasons.length === 0;
+    }
+
+    var nAccepted = records.filter(function(r){ return r.accepted; }).length;
+    if (nAccepted < GRADING_MIN_ACCEPTED) {
+        log("  WARNING: grading would leave only " + nAccepted + " frame(s) — keeping all measured frames.");
+        for (var i = 0; i < records.length; i++)
+            if (records[i].measured) records[i].accepted = true;
+    }
+
+    var accepted = [], rejected = [];
+    for (var i = 0; i < records.length; i++) {
+        if (records[i].accepted) {
+            accepted.push(records[i].file);
+        } else {
+            rejected.push(records[i]);
+            log("  rejected: " + File.extractName(records[i].file) + " — " + records[i].reasons.join("; "));
+        }
+    }
+    log("  Grading: " + records.length + " measured, " + accepted.length +
+        " accepted, " + rejected.length + " rejected.");
+
+    writeGradingReport(records, limitsByGroup, logsDir);
+    return { records: records, accepted: accepted, rejected: rejected, limits: limitsByGroup };
+}
+
+// ── Reference frame selection ────────────────────────────────
+// Scores measured frames relative to the session median so no single
+// metric dominates: more stars and PSF signal are better, smaller FWHM
+// and a darker background are better. A frame equal to the median on
+// every metric scores 4.0. Unmeasured frames score 0.
+function scoreFrames(records) {
+    var measured = records.filter(function(r){ return r.measured; });
+    function med(k) { return median(measured.map(function(r){ return r[k]; })); }
+    var mStars = med("stars"), mFwhm = med("fwhm"), mBg = med("median"), mPsf = med("psfSignal");
+    for (var i = 0; i < records.length; i++) {
+        var r = records[i];
+        if (!r.measured) { r.score = 0; continue; }
+        r.score = (mStars > 0 ? r.stars / mStars : 1) +
+                  (r.fwhm   > 0 ? mFwhm / r.fwhm  : 0) +
+                  (r.median > 0 ? mBg / r.median  : 1) +
+                  (mPsf > 0 ? r.psfSignal / mPsf  : 1);
+    }
+}
+
+// Picks the highest-scoring frame from measurement records and logs it.
+// Returns { file, score, record } or null when nothing could be measured.
+function selectReference(records, label) {
+    scoreFrames(records);
+    var best = null;
+    for (var i = 0; i < records.length; i++)
+        if (records[i].measured && (best === null || records[i].score > best.score))
+            best = records[i];
+    if (best === null) {
+        log("  " + label + " reference: no measurable frames \u2014 using first frame.");
+        return null;
+    }
+    log("  " + label + " reference: " + File.extractNameAndExtension(best.file) +
+        " (score " + best.score.toFixed(3) + ", stars " + best.stars +
+        ", FWHM " + best.fwhm.toFixed(2) + ", background " + best.median.toFixed(5) + ")");
+    return { file: best.file, score: best.score, record: best };
+}
+
+// Label column of the CALIBRATION SUMMARY: "Flats" → "Flats        ".
+function summaryLabel(label) {
+    return label.length >= 13 ? label : (label + "             ").substring(0, 13);
+}
+
+// One-line reference description for the summary and sentinel.
+function referenceStatus(ref, fallbackFile) {
+    if (ref === null)
+        return (fallbackFile ? File.extractNameAndExtension(fallbackFile) : "none") + " (first frame)";
+    return File.extractNameAndExtension(ref.file) +
+           (ref.score !== null ? " (score " + ref.score.toFixed(3) + ")" : " (first frame)");
+}
+
+// One-line grading result for the CALIBRATION SUMMARY and sentinel.
+function gradingStatus(gradeResult) {
+    if (gradeResult === null) return "not run (GRADING_ENABLED = false)";
+    return gradeResult.accepted.length + " of " + gradeResult.records.length +
+           " frames accepted, " + gradeResult.rejected.length + " rejected (" +
+           (GRADING_MODE === "sigma" ? GRADING_SIGMA + "\u03c3 from median" : "absolute limits") + ")";
+}
+
+// ── Step 7: LocalNormalization ───────────────────────────────
 // Normalizes all registered frames against a reference frame.
 // referenceFile: path to the reference image (best registered frame).
 // Returns array of normalized output file paths (_n.xisf).
@@ -764,9 +2569,10 @@ function runLocalNormalization(registeredFiles, referenceFile, outputDir) {
     return outputFiles;
 }
 
-// ── Step 2: StarAlignment ────────────────────────────────────
+// ── Step 6: StarAlignment ────────────────────────────────────
 // SA.targets array format (from WBPP 2.9.1 log): [enabled, isFile, path]
-function runStarAlignment(inputFiles, outputDir) {
+// referenceFile: optional registration reference; defaults to inputFiles[0].
+function runStarAlignment(inputFiles, outputDir, referenceFile) {
     var targets = [];
     for (var i = 0; i < inputFiles.length; i++)
         targets.push([true, true, inputFiles[i]]);
@@ -816,7 +2622,7 @@ function runStarAlignment(inputFiles, outputDir) {
     SA.useBrightnessRelations       = false;
     SA.useScaleDifferences          = false;
     SA.scaleTolerance               = 0.100;
-    SA.referenceImage               = inputFiles[0];
+    SA.referenceImage               = referenceFile || inputFiles[0];
     SA.referenceIsFile              = true;
     SA.targets                      = targets;
     SA.inputHints                   = "fits-keywords normalize only-first-image";
@@ -844,6 +2650,7 @@ function runStarAlignment(inputFiles, outputDir) {
     SA.memoryLoadControl            = true;
     SA.memoryLoadLimit              = 0.85;
 
+    applyProcessOverrides(SA, "StarAlignment");
     if (!SA.executeGlobal())
         throw new Error("StarAlignment failed.");
 
@@ -868,7 +2675,7 @@ function runStarAlignment(inputFiles, outputDir) {
     return { registered: registered, drizzle: drizzleFiles };
 }
 
-// ── Step 3: ImageIntegration ─────────────────────────────────
+// ── Step 8: ImageIntegration ─────────────────────────────────
 // II.images format (WBPP log): [enabled, path, drizzlePath, localNormPath]
 // drizzlePath is passed so II can write LocationEstimates into the .xdrz files —
 // these are required by DrizzleIntegration in step 4.
@@ -952,6 +2759,7 @@ function runImageIntegration(registeredFiles, drizzleFiles, outputDir, normDataF
     II.useBufferThreads                 = true;
     II.maxBufferThreads                 = 0;
 
+    applyProcessOverrides(II, "ImageIntegration");
     if (!II.executeGlobal())
         throw new Error("ImageIntegration failed.");
 
@@ -968,11 +2776,23 @@ function runImageIntegration(registeredFiles, drizzleFiles, outputDir, normDataF
             }
         }
     }
+
+    // Keep the rejection maps — the low map is the coverage map for
+    // auto-crop, both go on the contact sheet.
+    for (var i = wins.length - 1; i >= 0; i--) {
+        if (wins[i].isNull) continue;
+        var id = wins[i].currentView.id;
+        if (id.indexOf("rejection_low") >= 0)
+            wins[i].saveAs(outputDir + "/rejection_low.xisf", false, false, false, false);
+        else if (id.indexOf("rejection_high") >= 0)
+            wins[i].saveAs(outputDir + "/rejection_high.xisf", false, false, false, false);
+    }
 }
 
-// ── Step 4: DrizzleIntegration ───────────────────────────────
+// ── Step 9: DrizzleIntegration ───────────────────────────────
 // DI.inputData format (WBPP log): [enabled, xdrzPath, localNormPath]
-function runDrizzleIntegration(drizzleFiles, outputFile) {
+// cfa: the .xdrz files point at CFA subs (DRIZZLE_MODE "cfa").
+function runDrizzleIntegration(drizzleFiles, outputFile, cfa) {
     var inputData = [];
     for (var i = 0; i < drizzleFiles.length; i++)
         if (drizzleFiles[i] !== "") inputData.push([true, drizzleFiles[i], ""]);
@@ -990,8 +2810,8 @@ function runDrizzleIntegration(drizzleFiles, outputFile) {
     DI.kernelGridSize               = 16;
     DI.originX                      = 0.50;
     DI.originY                      = 0.50;
-    DI.enableCFA                    = false;  // already debayered
-    DI.cfaPattern                   = "";
+    DI.enableCFA                    = !!cfa;  // otherwise already debayered
+    DI.cfaPattern                   = cfa ? ["RGGB", "BGGR", "GBRG", "GRBG"][BAYER_PATTERN] : "";
     DI.enableRejection              = true;
     DI.enableImageWeighting         = true;
     DI.enableSurfaceSplines         = true;
@@ -1010,6 +2830,7 @@ function runDrizzleIntegration(drizzleFiles, outputFile) {
     DI.showImages                   = true;
     DI.onError                      = DrizzleIntegration.prototype.Continue;
 
+    applyProcessOverrides(DI, "DrizzleIntegration");
     if (!DI.executeGlobal())
         throw new Error("DrizzleIntegration failed.");
 
@@ -1032,325 +2853,3157 @@ function runDrizzleIntegration(drizzleFiles, outputFile) {
         throw new Error("DrizzleIntegration: main output window not found.");
 }
 
-// ── Session processor ────────────────────────────────────────
-// processedBase: optional override for the processed output root path.
-//   Non-mosaic: NAS_PROCESSED_ROOT/<objectName>/<dateStr>
-//   Mosaic panel: NAS_PROCESSED_ROOT/<friendlyBase>/<dateStr>/<panelName>
-function processSession(objectName, dateStr, sourceDir, processedBase) {
-    // Skip sessions that completed on a previous run.
-    // To force a re-run, delete _processed.txt from the RAW session folder.
-    var sentinelFile = sourceDir + "/_processed.txt";
-    if (fileExists(sentinelFile)) {
-        Console.writeln("  Skipping [" + objectName + " / " + dateStr +
-                        "] — already processed. Delete _processed.txt to re-run.");
-        return null;
-    }
+// ── Plate solving ────────────────────────────────────────────
+// True when the ImageSolver library was included (WITH_PLATE_SOLVER).
+function solverAvailable() {
+    return typeof ImageSolver === "function";
+}
 
-    Console.writeln("\n" + "=".repeat(40));
-    Console.writeln("Object : " + objectName);
-    Console.writeln("Date   : " + dateStr);
-    Console.writeln("Source : " + sourceDir);
-    Console.writeln("=".repeat(40));
+// "05 35 17.3" / "-05:23:28" → 5.588 / -5.391; null if not sexagesimal.
+function parseSexagesimal(text) {
+    var m = /^\s*([+-]?)(\d+)[\s:]+(\d+)(?:[\s:]+(\d+(?:\.\d*)?))?\s*$/.exec(text || "");
+    if (!m) return null;
+    var v = parseInt(m[2], 10) + parseInt(m[3], 10) / 60 + (m[4] ? parseFloat(m[4]) / 3600 : 0);
+    return m[1] === "-" ? -v : v;
+}
 
-    // Collect only individual light frames (Light_*.fit / Light_*.fits).
-    var fitFiles = [];
-    var fitExts = ["*.fit", "*.fits"];
-    for (var ei = 0; ei < fitExts.length; ei++) {
-        var fitFf = new FileFind;
-        if (fitFf.begin(sourceDir + "/" + fitExts[ei])) {
-            do {
-                if (!fitFf.isDirectory && /^Light_/i.test(fitFf.name))
-                    fitFiles.push(sourceDir + "/" + fitFf.name);
-            } while (fitFf.next());
-            fitFf.end();
-        }
-    }
-    if (fitFiles.length === 0) {
-        log("  WARNING: No Light_*.fit/.fits files found in " + sourceDir);
-        return null;
+// Search seed from a light frame's header: { ra, dec (degrees), focal (mm),
+// pixelSize (µm) }, any of them null when unknown.
+function solveSeed(file) {
+    var kw = readFitsKeywords(file);
+    var ra = keywordNumber(kw, ["RA"]), dec = keywordNumber(kw, ["DEC"]);
+    if (ra === null && kw && kw.hasOwnProperty("OBJCTRA")) {
+        var h = parseSexagesimal(kw["OBJCTRA"]);
+        if (h !== null) ra = h * 15;
     }
-    log("Found " + fitFiles.length + " light frames.");
+    if (dec === null && kw && kw.hasOwnProperty("OBJCTDEC")) dec = parseSexagesimal(kw["OBJCTDEC"]);
+    var focal = keywordNumber(kw, ["FOCALLEN"]), pixel = keywordNumber(kw, ["XPIXSZ"]);
+    return { ra: ra, dec: dec,
+             focal:     focal || PLATE_SOLVE_FOCAL_LENGTH || null,
+             pixelSize: pixel || PLATE_SOLVE_PIXEL_SIZE || null };
+}
 
-    // Detect dominant light exposure for dark matching
-    var lightExp = dominantExposure(fitFiles);  // e.g. "120.0"
+// Solves one master in place. scale: the master's pixel scale relative to
+// the lights (DRIZZLE_SCALE for drizzle masters). Never throws.
+// Returns { file, solved, ra, dec, resolution (arcsec/px), message }.
+function plateSolveFile(file, seed, scale) {
+    var result = { file: file, solved: false, ra: null, dec: null, resolution: null, message: "" };
+    var win = null;
+    try {
+        if (!solverAvailable())
+            throw new Error("ImageSolver not loaded \u2014 uncomment #define WITH_PLATE_SOLVER at the top of the script");
+        var wins = ImageWindow.open(file);
+        if (!wins || wins.length === 0 || wins[0].isNull) throw new Error("cannot open the image");
+        win = wins[0];
 
-    var base          = processedBase || (NAS_PROCESSED_ROOT + "/" + friendlyName(objectName) + "/" + dateStr);
-    var debayeredDir  = base + "/debayered";
-    var calibratedDir = base + "/calibrated";
-    var registeredDir = base + "/registered";
-    var masterDir     = base + "/master";
-    var logsDir       = base + "/logs";
+        var solver = new ImageSolver();
+        solver.Init(win, false);
+        solver.solverCfg.showStars        = false;
+        solver.solverCfg.showDistortion   = false;
+        solver.solverCfg.generateErrorImg = false;
+        solver.metadata.ra       = seed.ra;
+        solver.metadata.dec      = seed.dec;
+        solver.metadata.focal    = seed.focal * scale;
+        solver.metadata.xpixsz   = seed.pixelSize;
+        solver.metadata.useFocal = true;
+        solver.metadata.resolution = seed.pixelSize / (seed.focal * scale) * 0.18 / Math.PI;  // degrees/px
+        if (!solver.SolveImage(win)) throw new Error("no solution found");
+        solver.metadata.SaveKeywords(win, false);
+        solver.metadata.SaveProperties(win, "AstroPreprocess");
+        win.saveAs(file, false, false, false, false);
 
-    ensureDir(debayeredDir);
-    ensureDir(calibratedDir);
-    ensureDir(registeredDir);
-    ensureDir(masterDir);
-    ensureDir(logsDir);
-    logOpen(logsDir);
+        result.solved     = true;
+        result.ra         = solver.metadata.ra;
+        result.dec        = solver.metadata.dec;
+        result.resolution = solver.metadata.resolution * 3600;
+        log("  Solved: " + File.extractName(file) + " \u2014 RA " + result.ra.toFixed(4) + "\u00b0, Dec " +
+            result.dec.toFixed(4) + "\u00b0, " + result.resolution.toFixed(2) + "\"/px");
+    } catch (e) {
+        result.message = e.message;
+        log("  WARNING: plate solve failed for " + File.extractName(file) + " \u2014 " + e.message);
+    }
+    if (win !== null && !win.isNull) win.forceClose();
+    return result;
+}
 
-    // ── Calibration frame discovery ───────────────────────────────────
-    // Search within CALIB_DATE_TOLERANCE_DAYS of session date.
-    // Darks: Z:/RAW/<date>/darks/<exp>s/
-    // Flats: Z:/RAW/<date>/flats/
-    var darkResult = lightExp ? findCalibDir(dateStr, "darks/" + lightExp + "s") : null;
-    var flatResult = findCalibDir(dateStr, "flats");
-
-    var darkRawFiles = darkResult ? fitFilesIn(darkResult.dir) : [];
-    var flatRawFiles = flatResult ? fitFilesIn(flatResult.dir) : [];
-
-    // Calibration status strings for the session summary
-    var darkStatus, flatStatus;
-    if (!lightExp) {
-        darkStatus = "\u2717 NOT USED \u2014 could not determine light exposure length";
-    } else if (!darkResult) {
-        darkStatus = "\u2717 NOT USED \u2014 no darks found for " + lightExp +
-                     "s within \u00b1" + CALIB_DATE_TOLERANCE_DAYS + " day(s) of " + dateStr;
-    } else {
-        var darkOffsetNote = darkResult.dayOffset === 0 ? "same date" :
-            (darkResult.dayOffset > 0 ? "+" : "") + darkResult.dayOffset + " day(s) (" + darkResult.date + ")";
-        darkStatus = "\u2713 AVAILABLE \u2014 " + darkRawFiles.length + " \u00d7 " + lightExp +
-                     "s frames [" + darkOffsetNote + "] from " + darkResult.dir;
+// Solves each of `masters` ([{ file, scale }]), seeded from seedFile's header
+// and then from the previous solution. Returns the plateSolveFile results.
+function runPlateSolve(masters, seedFile) {
+    var seed = solveSeed(seedFile);
+    var missing = [];
+    if (seed.ra === null || seed.dec === null) missing.push("RA/DEC");
+    if (!seed.focal)     missing.push("FOCALLEN (or PLATE_SOLVE_FOCAL_LENGTH)");
+    if (!seed.pixelSize) missing.push("XPIXSZ (or PLATE_SOLVE_PIXEL_SIZE)");
+    if (missing.length > 0) {
+        log("  WARNING: plate solving skipped \u2014 " + missing.join(", ") + " missing from " +
+            File.extractName(seedFile));
+        return masters.map(function(m){
+            return { file: m.file, solved: false, ra: null, dec: null, resolution: null,
+                     message: "no " + missing.join(", ") };
+        });
     }
-    if (!flatResult) {
-        flatStatus = "\u2717 NOT USED \u2014 no flats found within \u00b1" +
-                     CALIB_DATE_TOLERANCE_DAYS + " day(s) of " + dateStr;
-    } else {
-        var flatOffsetNote = flatResult.dayOffset === 0 ? "same date" :
-            (flatResult.dayOffset > 0 ? "+" : "") + flatResult.dayOffset + " day(s) (" + flatResult.date + ")";
-        flatStatus = "\u2713 AVAILABLE \u2014 " + flatRawFiles.length +
-                     " frames [" + flatOffsetNote + "] from " + flatResult.dir;
+    log("  Seed: RA " + seed.ra.toFixed(4) + "\u00b0, Dec " + seed.dec.toFixed(4) + "\u00b0, " +
+        seed.focal + " mm, " + seed.pixelSize + " \u00b5m");
+    var results = [];
+    for (var i = 0; i < masters.length; i++) {
+        var r = plateSolveFile(masters[i].file, seed, masters[i].scale);
+        if (r.solved) { seed.ra = r.ra; seed.dec = r.dec; }
+        results.push(r);
     }
-    var finalOutput = null;
-    try {
-        // Purge any non-Light_ files left behind by earlier runs of the old script.
-        var staleCount = removeNonLightFiles(calibratedDir) + removeNonLightFiles(debayeredDir) + removeNonLightFiles(registeredDir);
-        if (staleCount > 0)
-            log("  Removed " + staleCount + " stale non-Light_ file(s) from previous run.");
-
-        // ── Steps 1-2: Build calibration masters ─────────────
-        var masterDarkFile = null;
-        var masterFlatFile = null;
-        var darkBuilt = false, flatBuilt = false;
-
-        if (darkRawFiles.length > 0) {
-            var darkCacheKey = darkResult.date + "/" + lightExp + "s";
-            var darkOut = darkResult.dir + "/master_dark_" + lightExp + "s.xisf";
-            if (g_masterDarkCache.hasOwnProperty(darkCacheKey)) {
-                masterDarkFile = g_masterDarkCache[darkCacheKey];
-                log("\n[1/7] Master dark reused from this run: " + masterDarkFile);
-            } else if (fileExists(darkOut)) {
-                masterDarkFile = darkOut;
-                g_masterDarkCache[darkCacheKey] = masterDarkFile;
-                log("\n[1/7] Master dark already exists, skipping rebuild: " + darkOut);
-            } else {
-                log("\n[1/7] Building master dark (" + darkRawFiles.length + " \u00d7 " + lightExp + "s)...");
-                masterDarkFile = buildMasterDark(darkRawFiles, darkOut);
-                closeAllWindows();
-                g_masterDarkCache[darkCacheKey] = masterDarkFile;
-                log("  Master dark: " + darkOut);
-            }
-            darkBuilt = true;
-            darkStatus = "\u2713 USED \u2014 " + darkRawFiles.length + " \u00d7 " + lightExp + "s frames";
-        } else {
-            log("\n[1/7] Master dark SKIPPED \u2014 " + darkStatus);
-        }
-
-        if (flatRawFiles.length > 0) {
-            var flatCacheKey = flatResult.date;
-            var flatOut = flatResult.dir + "/master_flat_" + flatResult.date + ".xisf";
-            if (g_masterFlatCache.hasOwnProperty(flatCacheKey)) {
-                masterFlatFile = g_masterFlatCache[flatCacheKey];
-                log("\n[2/7] Master flat reused from this run: " + masterFlatFile);
-            } else if (fileExists(flatOut)) {
-                // Validate it's a CFA (1-channel) master, not an old RGB one
-                var flatWins = ImageWindow.open(flatOut);
-                var flatChannels = (flatWins && flatWins.length > 0 && !flatWins[0].isNull)
-                    ? flatWins[0].mainView.image.numberOfChannels : 0;
-                if (flatWins && flatWins.length > 0 && !flatWins[0].isNull) flatWins[0].close();
-                if (flatChannels === 3) {
-                    log("\n[2/7] Existing master flat is RGB (old format) — deleting and rebuilding as CFA...");
-                    File.remove(flatOut);
-                    masterFlatFile = buildMasterFlat(flatRawFiles, masterDarkFile, flatOut);
-                    closeAllWindows();
-                    g_masterFlatCache[flatCacheKey] = masterFlatFile;
-                    log("  Master flat (CFA): " + flatOut);
-                } else {
-                    masterFlatFile = flatOut;
-                    g_masterFlatCache[flatCacheKey] = masterFlatFile;
-                    log("\n[2/7] Master flat already exists, skipping rebuild: " + flatOut);
-                }
-            } else {
-                log("\n[2/7] Building master flat (" + flatRawFiles.length + " raw CFA frames)...");
-                masterFlatFile = buildMasterFlat(flatRawFiles, masterDarkFile, flatOut);
-                closeAllWindows();
-                g_masterFlatCache[flatCacheKey] = masterFlatFile;
-                log("  Master flat (CFA): " + flatOut);
-            }
-            flatBuilt = true;
-            flatStatus = "\u2713 USED \u2014 " + flatRawFiles.length + " frames (CFA master)";
-        } else {
-            log("\n[2/7] Master flat SKIPPED \u2014 " + flatStatus);
-        }
-
-        // ── Step 3: ImageCalibration on raw CFA lights ────────
-        var calibFiles = null;
-        if (masterDarkFile !== null || masterFlatFile !== null) {
-            log("\n[3/7] ImageCalibration (raw CFA lights)...");
-            calibFiles = runImageCalibration(fitFiles, calibratedDir, masterDarkFile, masterFlatFile);
-            closeAllWindows();
-        } else {
-            log("\n[3/7] ImageCalibration SKIPPED \u2014 no calibration masters available.");
-            log("  WARNING: Proceeding with uncalibrated light frames.");
-        }
+    return results;
+}
 
-        // ── Step 4: Debayer (calibrated CFA or raw if no calibration) ─
-        var filesToDebayer = (calibFiles !== null) ? calibFiles : fitFiles;
-        log("\n[4/7] Debayer " + (calibFiles !== null ? "calibrated CFA" : "raw") + " lights (RGGB/VNG)...");
-        var dbFiles = runDebayer(filesToDebayer, debayeredDir);
-        closeAllWindows();
+// "solved 2/2" / "FAILED 0/1 (no solution found)" for summaries.
+function solveStatus(results) {
+    var ok = results.filter(function(r){ return r.solved; });
+    var failed = results.filter(function(r){ return !r.solved; });
+    return (failed.length > 0 ? "FAILED " : "solved ") + ok.length + "/" + results.length +
+           (failed.length > 0 ? " (" + failed[0].message + ")" : "");
+}
 
-        log("\n[5/8] StarAlignment + drizzle data...");
-        var saResult = runStarAlignment(dbFiles, registeredDir);
-        closeAllWindows();
+// ── CFA drizzle ──────────────────────────────────────────────
+// "_cfa" in drizzle master names when the drizzle mode (default
+// DRIZZLE_MODE) is "cfa".
+function drizzleModeSuffix(mode) {
+    return (mode || DRIZZLE_MODE) === "cfa" ? "_cfa" : "";
+}
 
-        if (saResult.registered.length === 0)
-            throw new Error("No registered files produced by StarAlignment.");
+// The calibrated CFA sub a debayered sub was made from:
+// <night>/debayered/<sub>_c_cc_d.xisf → <night>/calibrated/<sub>_c_cc.xisf
+function cfaSourcePath(debayeredFile) {
+    return debayeredFile.replace(/\/debayered\/([^\/]+)_d\.xisf$/, "/calibrated/$1.xisf");
+}
 
-        log("\n[6/8] LocalNormalization...");
-        var lnFiles = runLocalNormalization(saResult.registered, saResult.registered[0], registeredDir);
-        closeAllWindows();
+// Path for comparison: forward slashes, lower case (Windows file systems
+// are case-insensitive and StarAlignment may write either separator).
+function normalizedPath(path) {
+    return path.replace(/\\/g, "/").toLowerCase();
+}
 
-        // Pass normalization data files (.xnml) to ImageIntegration
-        // They are written alongside the _n.xisf files with the same base name
-        var lnDataFiles = [];
-        for (var i = 0; i < lnFiles.length; i++) {
-            var xnml = lnFiles[i].replace(/_n\.xisf$/i, "_n.xnml");
-            lnDataFiles.push(fileExists(xnml) ? xnml : "");
+// Copies of the .xdrz drizzle data that reference each sub's CFA source
+// instead of its debayered version (<name>_cfa.xdrz). Only the
+// <SourceImage> element is rewritten. Subs without a calibrated CFA file
+// (uncalibrated lights), and subs whose .xdrz names a different source
+// image, are left out with a warning each.
+function cfaDrizzleFiles(xdrzFiles, debayeredFiles) {
+    var byName = {};
+    for (var i = 0; i < debayeredFiles.length; i++)
+        byName[lightBaseName(debayeredFiles[i])] = debayeredFiles[i];
+    var out = [], missing = [], mismatched = [];
+    var sourceRe = /(<SourceImage>)([^<]*)(<\/SourceImage>)/;
+    for (var i = 0; i < xdrzFiles.length; i++) {
+        var name = lightBaseName(xdrzFiles[i]);
+        var source = byName[name], cfaFile = source ? cfaSourcePath(source) : null;
+        if (!cfaFile || !fileExists(cfaFile)) {
+            missing.push(name);
+            continue;
         }
-        var nLN = lnDataFiles.filter(function(f){ return f !== ""; }).length;
-        log("  " + nLN + " normalization data files (.xnml) found.");
+        var text = fileExists(xdrzFiles[i]) ? File.readTextFile(xdrzFiles[i]) : "";
+        var m = sourceRe.exec(text);
+        if (!m || normalizedPath(m[2].trim()) !== normalizedPath(source)) {
+            mismatched.push(name + " (" + (m ? m[2].trim() : "no <SourceImage>") + ")");
+            continue;
+        }
+        var patched = xdrzFiles[i].replace(/\.xdrz$/, "_cfa.xdrz");
+        File.writeTextFile(patched, text.substring(0, m.index) + m[1] + cfaFile + m[3] +
+                                    text.substring(m.index + m[0].length));
+        out.push(patched);
+    }
+    if (missing.length > 0)
+        log("  WARNING: " + missing.length + " sub(s) have no calibrated CFA source and are left out of the " +
+            "CFA drizzle: " + missing.join(", "));
+    if (mismatched.length > 0)
+        log("  WARNING: " + mismatched.length + " sub(s) have drizzle data for another source image than " +
+            "their debayered sub and are left out of the CFA drizzle: " + mismatched.join(", "));
+    return out;
+}
 
-        log("\n[7/8] ImageIntegration...");
-        runImageIntegration(lnFiles, saResult.drizzle, masterDir, lnDataFiles);
-        closeAllWindows();
+// ── Auto-crop ────────────────────────────────────────────────
+// <name>.xisf → <name>_crop.xisf
+function cropOutputPath(file) {
+    return file.replace(/\.xisf$/, "_crop.xisf");
+}
 
-        var validDrizzle = saResult.drizzle.filter(function(f){ return f !== ""; });
-        if (validDrizzle.length > 0) {
-            log("\n[8/8] DrizzleIntegration (" + DRIZZLE_SCALE + "x, " +
-                validDrizzle.length + " frames)...");
-            var drizzleOut = masterDir + "/drizzle_" +
-                objectName.replace(/ /g, "_") + "_" + dateStr + ".xisf";
-            runDrizzleIntegration(saResult.drizzle, drizzleOut);
-            closeAllWindows();
-            finalOutput = drizzleOut;
-        } else {
-            log("\n[8/8] WARNING: DrizzleIntegration skipped \u2014 no .xdrz files.");
-            finalOutput = masterDir + "/integration.xisf";
+// Largest rectangle of the low rejection map where at least minCoverage
+// of the frames contribute in every channel. Border rows and columns are
+// trimmed one at a time, always the one with the largest share of
+// under-covered pixels, until none is left.
+// Returns { x0, y0, x1, y1 } (x1/y1 exclusive), or null if nothing is left.
+function coverageCropRect(mapFile, minCoverage) {
+    var wins = ImageWindow.open(mapFile);
+    if (!wins || wins.length === 0 || wins[0].isNull)
+        throw new Error("Cannot open coverage map: " + mapFile);
+    var image = wins[0].mainView.image;
+    var w = image.width, h = image.height;
+    var bad = new Uint8Array(w * h), rowBad = new Int32Array(h), colBad = new Int32Array(w);
+    var row = new Float32Array(w);
+    for (var c = 0; c < image.numberOfChannels; c++)
+        for (var y = 0; y < h; y++) {
+            image.getSamples(row, new Rect(0, y, w, y + 1), c);
+            for (var x = 0; x < w; x++)
+                if (1 - row[x] < minCoverage) bad[y * w + x] = 1;
         }
+    wins[0].forceClose();
+    for (var y = 0; y < h; y++)
+        for (var x = 0; x < w; x++)
+            if (bad[y * w + x]) { rowBad[y]++; colBad[x]++; }
 
-        log("\n\u2713 Complete [" + objectName + " / " + dateStr + "]");
-
-        // ── Calibration summary ───────────────────────────────
-        log("\n" + "-".repeat(40));
-        log("CALIBRATION SUMMARY");
-        log("-".repeat(40));
-        log("  Light frames : " + fitFiles.length + (lightExp ? " (" + lightExp + "s)" : ""));
-        log("  Darks        : " + darkStatus);
-        log("  Flats        : " + flatStatus);
-        if (masterDarkFile === null && masterFlatFile === null) {
-            log("  \u26a0 WARNING: No calibration applied \u2014 pipeline ran on uncalibrated lights.");
+    var x0 = 0, y0 = 0, x1 = w, y1 = h;
+    while (x1 > x0 && y1 > y0) {
+        var sides = [rowBad[y0] / (x1 - x0), rowBad[y1 - 1] / (x1 - x0),
+                     colBad[x0] / (y1 - y0), colBad[x1 - 1] / (y1 - y0)];
+        var worst = 0;
+        for (var i = 1; i < 4; i++) if (sides[i] > sides[worst]) worst = i;
+        if (sides[worst] === 0) break;
+        if (worst < 2) {
+            var y = worst === 0 ? y0++ : --y1;
+            for (var x = x0; x < x1; x++) if (bad[y * w + x]) colBad[x]--;
         } else {
-            log("  Calibration  : APPLIED");
+            var x = worst === 2 ? x0++ : --x1;
+            for (var y = y0; y < y1; y++) if (bad[y * w + x]) rowBad[y]--;
         }
-        log("-".repeat(40));
+    }
+    return (x1 > x0 && y1 > y0) ? { x0: x0, y0: y0, x1: x1, y1: y1, width: w, height: h } : null;
+}
 
-        // Write sentinel so subsequent runs skip this session automatically.
-        var sf = new File;
-        sf.createForWriting(sentinelFile);
-        sf.outTextLn("Processed: " + (new Date()).toISOString());
-        sf.outTextLn("Darks: " + darkStatus);
-        sf.outTextLn("Flats: " + flatStatus);
-        sf.close();
+// Crops inFile to rect (scaled by `scale`) and saves it as outFile.
+function cropImageFile(inFile, outFile, rect, scale) {
+    var wins = ImageWindow.open(inFile);
+    if (!wins || wins.length === 0 || wins[0].isNull)
+        throw new Error("Cannot open " + inFile);
+    var win = wins[0], w = win.mainView.image.width, h = win.mainView.image.height;
+    var x0 = Math.round(rect.x0 * scale), y0 = Math.round(rect.y0 * scale);
+    var x1 = Math.min(w, Math.round(rect.x1 * scale)), y1 = Math.min(h, Math.round(rect.y1 * scale));
 
-    } catch (e) {
-        log("\n\u2717 ERROR [" + objectName + " / " + dateStr + "]: " + e.message);
-        closeAllWindows();
-    }
-    logClose();
-    return finalOutput;  // null on error/skip, output path on success
+    var C = new Crop;
+    C.mode         = Crop.prototype.AbsolutePixels;
+    C.leftMargin   = -x0;
+    C.topMargin    = -y0;
+    C.rightMargin  = -(w - x1);
+    C.bottomMargin = -(h - y1);
+    C.noGUIMessages = true;
+    if (!C.executeOn(win.mainView))
+        throw new Error("Crop failed on " + inFile);
+    win.saveAs(outFile, false, false, false, false);
+    win.forceClose();
+    log("  Cropped: " + outFile + " (" + (x1 - x0) + "\u00d7" + (y1 - y0) + ")");
+    return outFile;
 }
 
-// ── Folder scanner ───────────────────────────────────────────
-// Detects mosaic panels (objectName matching _N-N suffix), groups them
-// under a shared processed parent folder, and processes each panel
-// independently through the full pipeline.
-function processDateDir(dateDir, dateStr) {
-    var outputs = [];
+// Crops the integration and, when given, the drizzle master to the same
+// region. Returns { rect, integration, drizzle }.
+function runAutoCrop(masterDir, drizzleFile) {
+    var mapFile = masterDir + "/rejection_low.xisf";
+    if (!fileExists(mapFile))
+        throw new Error("no coverage map (" + mapFile + ") \u2014 re-run ImageIntegration with FORCE_FROM_STEP = 8");
+    var rect = coverageCropRect(mapFile, AUTOCROP_MIN_COVERAGE);
+    if (rect === null)
+        throw new Error("no region is covered by " + Math.round(AUTOCROP_MIN_COVERAGE * 100) + "% of the frames");
+    var kept = (rect.x1 - rect.x0) * (rect.y1 - rect.y0) / (rect.width * rect.height);
+    log("  Crop rectangle: x " + rect.x0 + "\u2013" + rect.x1 + ", y " + rect.y0 + "\u2013" + rect.y1 +
+        " of " + rect.width + "\u00d7" + rect.height + " (" + Math.round(kept * 100) + "% kept, coverage \u2265 " +
+        Math.round(AUTOCROP_MIN_COVERAGE * 100) + "%)");
+    if (kept < 0.5)
+        log("  WARNING: auto-crop removes more than half of the image \u2014 check the registration.");
+    var result = { rect: rect, drizzle: null,
+                   integration: cropImageFile(masterDir + "/integration.xisf",
+                                              cropOutputPath(masterDir + "/integration.xisf"), rect, 1) };
+    if (drizzleFile)
+        result.drizzle = cropImageFile(drizzleFile, cropOutputPath(drizzleFile), rect, DRIZZLE_SCALE);
+    return result;
+}
 
-    // Collect all object subdirectories, skipping darks/flats
-    var objectDirs = [];
-    var ff = new FileFind;
-    if (!ff.begin(dateDir + "/*")) return outputs;
-    do {
-        if (ff.isDirectory && ff.name !== "." && ff.name !== ".." &&
-                ff.name !== "darks" && ff.name !== "flats") {
-            objectDirs.push(ff.name);
-        }
-    } while (ff.next());
-    ff.end();
+// ── Quick-look preview ───────────────────────────────────────
+// <master>.xisf → <master>_preview.jpg (or .png)
+function previewPath(file) {
+    return file.replace(/\.xisf$/, "_preview." + QUICKLOOK_FORMAT);
+}
 
-    // Group by base object name (strip mosaic panel suffix if present)
-    var groups = {};  // baseObjectName -> [ panelName, ... ]
-    for (var i = 0; i < objectDirs.length; i++) {
-        var name  = objectDirs[i];
-        var match = MOSAIC_PANEL_RE.exec(name);
-        var base  = match ? match[1] : name;
-        if (!groups[base]) groups[base] = [];
-        groups[base].push(name);
+// Auto-STF (PixInsight's default screen stretch: shadows clipped at
+// -2.8 MAD from the median, median mapped to 0.25) made permanent with
+// HistogramTransformation, linked across channels.
+function autoStretch(view) {
+    var SHADOWS_CLIP = -2.8, TARGET_BACKGROUND = 0.25;
+    var image = view.image, c0 = 0, median = 0, n = image.numberOfChannels;
+    for (var c = 0; c < n; c++) {
+        image.selectedChannel = c;
+        var med = image.median(), mad = image.MAD() * 1.4826;
+        c0     += Math.range(med + SHADOWS_CLIP * mad, 0, 1) / n;
+        median += med / n;
     }
+    image.resetChannelSelection();
+    applyStretch(view, c0, Math.mtf(TARGET_BACKGROUND, median - c0));
+}
 
-    for (var base in groups) {
-        var panels   = groups[base];
-        var isMosaic = panels.length > 1 || MOSAIC_PANEL_RE.test(panels[0]);
+// HistogramTransformation of all channels: shadows clip c0, midtones m.
+function applyStretch(view, c0, m) {
+    var HT = new HistogramTransformation;
+    HT.H = [[0, 0.5, 1, 0, 1], [0, 0.5, 1, 0, 1], [0, 0.5, 1, 0, 1],
+            [c0, m, 1, 0, 1], [0, 0.5, 1, 0, 1]];
+    if (!HT.executeOn(view)) throw new Error("HistogramTransformation failed");
+}
 
-        if (isMosaic) {
-            Console.writeln("\nMosaic detected: " + base + " (" + panels.length + " panels)");
-            // Shared processed parent: NAS_PROCESSED_ROOT/<base>/<dateStr>
-            // Each panel gets its own subfolder within that parent.
-            for (var p = 0; p < panels.length; p++) {
-                var panelName    = panels[p];
-                var processedBase = NAS_PROCESSED_ROOT + "/" + friendlyName(base) + "/" + dateStr + "/" + panelName;
-                var result = processSession(
-                    panelName, dateStr, dateDir + "/" + panelName, processedBase);
-                if (result !== null) outputs.push(result);
-            }
-        } else {
-            var result = processSession(panels[0], dateStr, dateDir + "/" + panels[0]);
-            if (result !== null) outputs.push(result);
+// Subtracts a 4th-degree ABE background model in place.
+function extractBackground(view) {
+    var ABE = new AutomaticBackgroundExtractor;
+    ABE.polyDegree       = 4;
+    ABE.targetCorrection = 1;      // subtract
+    ABE.normalize        = true;
+    ABE.discardModel     = true;
+    ABE.replaceTarget    = true;
+    if (!ABE.executeOn(view)) throw new Error("AutomaticBackgroundExtractor failed");
+}
+
+// Colour calibration for the preview. Returns what was applied.
+function quickLookColor(win) {
+    var view = win.mainView;
+    if (view.image.numberOfChannels < 3) return "none (mono)";
+    if (win.hasAstrometricSolution) {
+        try {
+            var SPCC = new SpectrophotometricColorCalibration;
+            if (SPCC.executeOn(view)) return "SPCC";
+            log("  WARNING: SPCC failed \u2014 using ColorCalibration.");
+        } catch (e) {
+            log("  WARNING: SPCC failed (" + e.message + ") \u2014 using ColorCalibration.");
         }
     }
-    return outputs;
+    var BN = new BackgroundNeutralization;
+    if (!BN.executeOn(view)) throw new Error("BackgroundNeutralization failed");
+    var CC = new ColorCalibration;
+    if (!CC.executeOn(view)) throw new Error("ColorCalibration failed");
+    return "BackgroundNeutralization + ColorCalibration";
 }
 
-// ── Main ─────────────────────────────────────────────────────
-Console.writeln("AstroPreprocess — OSC Pipeline");
-Console.writeln("RAW root      : " + NAS_RAW_ROOT);
-Console.writeln("Processed root: " + NAS_PROCESSED_ROOT);
+// Writes the quick-look preview of `master` without touching it.
+// Returns { file, color }.
+function runQuickLook(master) {
+    var wins = ImageWindow.open(master);
+    if (!wins || wins.length === 0 || wins[0].isNull)
+        throw new Error("cannot open " + master);
+    var win = wins[0];
+    try {
+        extractBackground(win.mainView);
+        var color = quickLookColor(win);
+        autoStretch(win.mainView);
+        var out = previewPath(master);
+        if (!win.saveAs(out, false, false, false, false))
+            throw new Error("cannot save " + out);
+        log("  Preview: " + out + " (ABE, " + color + ", auto-STF)");
+        return { file: out, color: color };
+    } finally {
+        win.forceClose();
+    }
+}
 
-var dlg = new GetDirectoryDialog;
-dlg.caption     = "Select a date folder (e.g. Z:/RAW/2026-02-11) or Z:/RAW to process all dates";
-dlg.initialPath = NAS_RAW_ROOT;
+// ── Dual-narrowband extraction ───────────────────────────────
+// Channels of a dual-band filter on the OSC sensor, from a SuperPixel
+// debayer (one RGB pixel per 2×2 Bayer cell, G the mean of both greens):
+// Ha is the red pixel, OIII the mean of the two greens and the blue.
+var NARROWBAND_CHANNELS = [
+    { name: "Ha",   expression: "$T[0]" },
+    { name: "OIII", expression: "(2*$T[1] + $T[2])/3" }
+];
 
-if (!dlg.execute()) {
-    Console.writeln("Cancelled.");
-} else {
-    var sel = dlg.directory;
-    Console.writeln("\nSelected: " + sel);
+// True when the session's lights should also be stacked per channel.
+function narrowbandWanted(lights) {
+    if (NARROWBAND_MODE !== "auto") return NARROWBAND_MODE === "on";
+    var pattern = new RegExp(NARROWBAND_FILTERS, "i");
+    for (var i = 0; i < lights.length; i++)
+        if (lights[i].chars.filter !== null && pattern.test(lights[i].chars.filter)) return true;
+    return false;
+}
 
-    var allOutputs = [];
+// Channel master: <masterDir>/<Channel>_<Object>_<Date>.xisf
+function narrowbandOutputPath(masterDir, channel, objectName, dateStr) {
+    return masterDir + "/" + channel + "_" + objectName.replace(/ /g, "_") + "_" + dateStr + ".xisf";
+}
 
-    if (/\d{4}-\d{2}-\d{2}$/.test(sel)) {
-        allOutputs = processDateDir(sel, sel.replace(/.*[\/\\]/, ""));
+// The calibrated CFA subs behind the accepted debayered subs, with the sub
+// of `refFile` first so every channel is registered to the same frame.
+function narrowbandSources(cfaFiles, acceptedFiles, refFile) {
+    var byName = {};
+    for (var i = 0; i < cfaFiles.length; i++)
+        byName[lightBaseName(cfaFiles[i])] = cfaFiles[i];
+    var refName = lightBaseName(refFile), sources = [];
+    for (var i = 0; i < acceptedFiles.length; i++) {
+        var cfa = byName[lightBaseName(acceptedFiles[i])];
+        if (!cfa) continue;
+        if (lightBaseName(cfa) === refName) sources.unshift(cfa);
+        else sources.push(cfa);
+    }
+    return sources;
+}
+
+// FITS keywords for a channel sub: no Bayer pattern, and the pixel size
+// doubled (one pixel per 2×2 cell) so plate solving gets the scale right.
+function superPixelKeywords(keywords) {
+    var out = [], hasPixel = false;
+    for (var i = 0; i < keywords.length; i++) {
+        var k = keywords[i];
+        if (k.name === "BAYERPAT") continue;
+        if (k.name === "XPIXSZ" || k.name === "YPIXSZ") {
+            hasPixel = true;
+            k = new FITSKeyword(k.name, String(parseFloat(k.value) * 2), k.comment);
+        }
+        out.push(k);
+    }
+    if (!hasPixel && PLATE_SOLVE_PIXEL_SIZE > 0)
+        out.push(new FITSKeyword("XPIXSZ", String(PLATE_SOLVE_PIXEL_SIZE * 2), "[um] SuperPixel pixel size"));
+    return out;
+}
+
+// Splits every CFA sub into one mono sub per channel,
+// <nbDir>/<Channel>/<sub>.xisf, keeping its FITS keywords.
+// Returns { <Channel>: [files] }; unreadable subs are left out.
+function runNarrowbandExtraction(cfaFiles, nbDir) {
+    var out = {};
+    for (var c = 0; c < NARROWBAND_CHANNELS.length; c++) {
+        out[NARROWBAND_CHANNELS[c].name] = [];
+        ensureDir(nbDir + "/" + NARROWBAND_CHANNELS[c].name);
+    }
+    for (var i = 0; i < cfaFiles.length; i++) {
+        var name = File.extractName(cfaFiles[i]);
+        var wins = ImageWindow.open(cfaFiles[i], "", "fits-keywords normalize");
+        if (!wins || wins.length === 0 || wins[0].isNull) {
+            log("  WARNING: cannot open " + cfaFiles[i] + " \u2014 left out.");
+            continue;
+        }
+        var db = new Debayer;
+        db.bayerPattern  = BAYER_PATTERN;
+        db.debayerMethod = 0;              // 0=SuperPixel
+        db.executeOn(wins[0].mainView);
+
+        // As in runDebayer: the RGB result is the newest 3-channel window.
+        var rgb = null, allWins = ImageWindow.windows;
+        for (var j = allWins.length - 1; j >= 0 && rgb === null; j--)
+            if (!allWins[j].isNull && allWins[j].mainView.image.numberOfChannels === 3)
+                rgb = allWins[j];
+        if (rgb === null) {
+            closeAllWindows();
+            log("  WARNING: SuperPixel debayer failed for " + name + " \u2014 left out.");
+            continue;
+        }
+        for (var c = 0; c < NARROWBAND_CHANNELS.length; c++) {
+            var channel = NARROWBAND_CHANNELS[c];
+            var PM = new PixelMath;
+            PM.expression           = channel.expression;
+            PM.useSingleExpression  = true;
+            PM.createNewImage       = true;
+            PM.showNewImage         = false;
+            PM.newImageId           = "narrowband_" + channel.name;
+            PM.newImageColorSpace   = PixelMath.prototype.Gray;
+            PM.newImageSampleFormat = PixelMath.prototype.f32;
+            if (!PM.executeOn(rgb.mainView))
+                throw new Error("PixelMath failed extracting " + channel.name + " from " + name);
+            var chWin = ImageWindow.windowById(PM.newImageId);
+            chWin.keywords = superPixelKeywords(rgb.keywords);
+            var outFile = nbDir + "/" + channel.name + "/" + name + ".xisf";
+            var saved = chWin.saveAs(outFile, false, false, false, false);
+            chWin.forceClose();
+            if (!saved) throw new Error("cannot save " + outFile);
+            out[channel.name].push(outFile);
+        }
+        closeAllWindows();
+        log("  extracted: " + name + " \u2192 " +
+            NARROWBAND_CHANNELS.map(function(ch){ return ch.name; }).join(" + "));
+    }
+    return out;
+}
+
+// Copies `source` to `target` unless target is already newer.
+function copyIfNewer(source, target) {
+    var tSource = fileTime(source), tTarget = fileTime(target);
+    if (tTarget !== null && tSource !== null && tTarget >= tSource) return;
+    if (tTarget !== null) File.remove(target);
+    File.copyFile(target, source);
+}
+
+// Stretched HOO composite (R = Ha, G = B = OIII) written to outFile. Each
+// channel is background-extracted and auto-STF stretched on its own, so the
+// fainter OIII is not swamped by Ha.
+function writeHooPreview(haFile, oiiiFile, outFile) {
+    var wins = [];
+    try {
+        var files = [haFile, oiiiFile];
+        for (var i = 0; i < files.length; i++) {
+            var opened = ImageWindow.open(files[i]);
+            if (!opened || opened.length === 0 || opened[0].isNull)
+                throw new Error("cannot open " + files[i]);
+            wins.push(opened[0]);
+            extractBackground(opened[0].mainView);
+            autoStretch(opened[0].mainView);
+        }
+        var ha = wins[0].mainView, oiii = wins[1].mainView;
+        if (ha.image.width !== oiii.image.width || ha.image.height !== oiii.image.height)
+            throw new Error("Ha and OIII masters differ in size");
+        var PM = new PixelMath;
+        PM.expression          = ha.id;
+        PM.expression1         = oiii.id;
+        PM.expression2         = oiii.id;
+        PM.useSingleExpression = false;
+        PM.createNewImage      = true;
+        PM.showNewImage        = false;
+        PM.newImageId          = "HOO";
+        PM.newImageColorSpace  = PixelMath.prototype.RGB;
+        if (!PM.executeOn(ha)) throw new Error("PixelMath failed");
+        wins.push(ImageWindow.windowById(PM.newImageId));
+        if (!wins[2].saveAs(outFile, false, false, false, false))
+            throw new Error("cannot save " + outFile);
+        log("  HOO preview: " + outFile);
+        return outFile;
+    } finally {
+        for (var i = 0; i < wins.length; i++)
+            if (wins[i] && !wins[i].isNull) wins[i].forceClose();
+    }
+}
+
+// Extracts, stacks and names the narrowband channels of a session (or of
+// one filter of it). Extraction is step 4, the channels' counterpart of
+// Debayer. Channel work (steps 6-9) goes to <nbDir>/<Channel>/ with its own
+// step manifest (steps.json); the final channel images are copied to
+// <masterDir>/<Channel>_<Object>_<Date>.xisf. Returns
+//   { channels: { <Channel>: { master, frames, registered } }, preview, timings }
+function stackNarrowband(cfaFiles, nbDir, masterDir, objectName, dateStr, manifest) {
+    var started = Date.now();
+    var result = { channels: {}, preview: null, timings: [] };
+    var exParams = "pattern=" + BAYER_PATTERN;
+    var extracted, exDone = stepUpToDate(manifest, "narrowband", 4, cfaFiles, exParams);
+    if (exDone) {
+        logStepSkipped("[4/9] Narrowband extraction", exDone);
+        extracted = exDone.data;
+    } else {
+        log("\n[4/9] Narrowband extraction (" + cfaFiles.length + " CFA subs, SuperPixel)...");
+        extracted = runNarrowbandExtraction(cfaFiles, nbDir);
+        closeAllWindows();
+        var outputs = [];
+        for (var name in extracted) outputs = outputs.concat(extracted[name]);
+        recordStep(manifest, "narrowband", 4, cfaFiles, outputs, exParams, extracted);
+    }
+    timeStep(result.timings, 4, "Narrowband extraction", started, exDone);
+
+    var uncropped = {};
+    for (var c = 0; c < NARROWBAND_CHANNELS.length; c++) {
+        var name = NARROWBAND_CHANNELS[c].name, files = extracted[name];
+        if (files.length === 0) throw new Error("no " + name + " subs extracted");
+        var chDir = nbDir + "/" + name;
+        ensureDir(chDir + "/registered");
+        ensureDir(chDir + "/master");
+        log("\n\u2500\u2500 Narrowband: " + name + " (" + files.length + " subs) \u2500\u2500");
+        // files[0] is the RGB registration reference's sub in every channel
+        var drizzleOut = NARROWBAND_DRIZZLE ? chDir + "/master/drizzle.xisf" : null;
+        var stack = stackFrames(files, null, chDir + "/registered", chDir + "/master", drizzleOut,
+                                6, 9, loadStepManifest(chDir), "rgb",
+                                { file: files[0], score: null, note: "the RGB reference's sub" });
+        var master = narrowbandOutputPath(masterDir, name, objectName, dateStr);
+        copyIfNewer(stack.finalOutput, master);
+        log("  " + name + " master: " + master);
+        uncropped[name] = stack.crop !== null
+            ? (NARROWBAND_DRIZZLE && fileExists(drizzleOut) ? drizzleOut : chDir + "/master/integration.xisf")
+            : master;
+        result.channels[name] = { master: master, frames: files.length, registered: stack.registered.length };
+        result.timings = result.timings.concat(stack.timings.map(function(t){
+            return { step: t.step, name: name + " " + t.name, seconds: t.seconds, skipped: t.skipped }; }));
+    }
+
+    if (QUICKLOOK_ENABLED) {
+        var hoo = masterDir + "/HOO_" + objectName.replace(/ /g, "_") + "_" + dateStr +
+                  "_preview." + QUICKLOOK_FORMAT;
+        log("\n[9/9] HOO preview...");
+        try {
+            result.preview = writeHooPreview(result.channels.Ha.master, result.channels.OIII.master, hoo);
+        } catch (e) {
+            // Independently cropped masters can differ by a few pixels.
+            log("  " + e.message + " \u2014 using the uncropped masters.");
+            try {
+                result.preview = writeHooPreview(uncropped.Ha, uncropped.OIII, hoo);
+            } catch (e2) {
+                log("  WARNING: HOO preview skipped \u2014 " + e2.message);
+            }
+        }
+        closeAllWindows();
+    }
+    return result;
+}
+
+// One-line narrowband result for the CALIBRATION SUMMARY and sentinel.
+function narrowbandStatus(narrowband) {
+    if (narrowband.error) return "failed \u2014 " + narrowband.error;
+    var parts = [];
+    for (var name in narrowband.channels)
+        parts.push(File.extractNameAndExtension(narrowband.channels[name].master) + " (" +
+                   narrowband.channels[name].registered + " subs)");
+    return parts.join(", ");
+}
+
+// ── Mono cameras ─────────────────────────────────────────────
+// Channel master of one filter of a mono session, ready for channel
+// combination: <masterDir>/<Filter>_<Object>_<Date>.xisf
+function channelMasterPath(masterDir, filter, objectName, dateStr) {
+    return masterDir + "/" + filterDirName(filter) + "_" + objectName.replace(/ /g, "_") + "_" + dateStr + ".xisf";
+}
+
+// One registration reference for every filter of a mono session, so the
+// filter masters come out on the same pixel grid: the best-scoring sub of
+// any filter, or the first sub without REFERENCE_AUTO_SELECT.
+// refCandidates: grading records, or null to measure `files` here.
+// Returns { file, score, record } (score null when not measured).
+function commonReference(refCandidates, files) {
+    if (REFERENCE_AUTO_SELECT) {
+        var ref = selectReference(refCandidates || measureSubframes(files), "Common registration");
+        closeAllWindows();
+        if (ref !== null) return ref;
+    } else {
+        log("  Common registration reference: " + File.extractNameAndExtension(files[0]) + " (first frame)");
+    }
+    return { file: files[0], score: null, record: null };
+}
+
+// Each filter's auto-crop follows its own coverage, so the cropped masters
+// of a mono session would no longer line up. Re-crops every filter's
+// masters to the intersection of their rectangles and remakes their
+// previews. entries: processSession stack entries with stack.crop set.
+// Returns the common rectangle.
+function runCommonCrop(entries) {
+    var rect = null;
+    for (var i = 0; i < entries.length; i++) {
+        var r = entries[i].stack.crop.rect;
+        rect = rect === null ? { x0: r.x0, y0: r.y0, x1: r.x1, y1: r.y1, width: r.width, height: r.height }
+                             : { x0: Math.max(rect.x0, r.x0), y0: Math.max(rect.y0, r.y0),
+                                 x1: Math.min(rect.x1, r.x1), y1: Math.min(rect.y1, r.y1),
+                                 width: rect.width, height: rect.height };
+    }
+    if (rect.x1 <= rect.x0 || rect.y1 <= rect.y0)
+        throw new Error("the filters' crop rectangles do not overlap");
+    log("  Common crop rectangle: x " + rect.x0 + "\u2013" + rect.x1 + ", y " + rect.y0 + "\u2013" + rect.y1 +
+        " of " + rect.width + "\u00d7" + rect.height);
+    for (var i = 0; i < entries.length; i++) {
+        var entry = entries[i], crop = entry.stack.crop;
+        crop.integration = cropImageFile(entry.masterDir + "/integration.xisf", crop.integration, rect, 1);
+        if (crop.drizzle)
+            crop.drizzle = cropImageFile(entry.drizzleOut, crop.drizzle, rect, DRIZZLE_SCALE);
+        crop.rect = rect;
+        if (entry.stack.preview) {
+            try {
+                entry.stack.preview = runQuickLook(entry.stack.finalOutput);
+            } catch (e) {
+                log("  WARNING: quick-look preview not remade \u2014 " + e.message);
+            }
+        }
+    }
+    return rect;
+}
+
+// ── Thumbnails and contact sheet ─────────────────────────────
+// Writes a JPEG thumbnail of inFile, at most THUMBNAIL_SIZE pixels on its
+// longest side. Subs get the auto-STF stretch; rejection maps (fractions of
+// the stack, mostly near 0) a fixed strong midtones stretch. An existing
+// thumbnail newer than inFile is kept.
+function thumbnailFile(inFile, outFile, isMap) {
+    var tIn = fileTime(inFile), tOut = fileTime(outFile);
+    if (tOut !== null && tIn !== null && tOut >= tIn) return outFile;
+    var wins = ImageWindow.open(inFile);
+    if (!wins || wins.length === 0 || wins[0].isNull)
+        throw new Error("cannot open " + inFile);
+    var win = wins[0];
+    try {
+        var image = win.mainView.image;
+        var factor = Math.ceil(Math.max(image.width, image.height) / THUMBNAIL_SIZE);
+        if (factor > 1) {
+            var IR = new IntegerResample;
+            IR.zoomFactor       = -factor;
+            IR.downsamplingMode = IntegerResample.prototype.Average;
+            if (!IR.executeOn(win.mainView)) throw new Error("IntegerResample failed");
+        }
+        if (isMap) applyStretch(win.mainView, 0, 0.02);
+        else autoStretch(win.mainView);
+        if (!win.saveAs(outFile, false, false, false, false))
+            throw new Error("cannot save " + outFile);
+    } finally {
+        win.forceClose();
+    }
+    return outFile;
+}
+
+// Thumbnails every debayered sub and rejection map, then writes
+// logs/contact_sheet.html from the session manifest's lights, grading
+// rejects and dropped frames. Thumbnail failures are logged and leave a
+// blank tile. Returns the contact sheet path.
+function writeContactSheet(logsDir, masterDir, sessionManifest, dbFiles, records) {
+    var thumbsDir = logsDir + "/thumbs";
+    ensureDir(thumbsDir);
+    log("\nContact sheet: " + dbFiles.length + " thumbnails...");
+
+    var debayered = {}, measured = {}, rejected = {}, dropped = {};
+    for (var i = 0; i < dbFiles.length; i++) debayered[lightBaseName(dbFiles[i])] = dbFiles[i];
+    for (var i = 0; i < (records || []).length; i++) measured[lightBaseName(records[i].file)] = records[i];
+    for (var i = 0; i < sessionManifest.rejected.length; i++)
+        rejected[sessionManifest.rejected[i].frame] = sessionManifest.rejected[i].reasons;
+    for (var i = 0; i < sessionManifest.dropped.length; i++)
+        dropped[sessionManifest.dropped[i].frame] = sessionManifest.dropped[i].step;
+
+    function thumb(inFile, name, isMap) {
+        try {
+            thumbnailFile(inFile, thumbsDir + "/" + name + ".jpg", isMap);
+            return "thumbs/" + encodeURIComponent(name) + ".jpg";
+        } catch (e) {
+            log("  WARNING: no thumbnail for " + File.extractName(inFile) + " \u2014 " + e.message);
+            return null;
+        }
+    }
+    function tile(cls, img, caption, lines) {
+        return "<figure class=\"" + cls + "\">" +
+               (img ? "<a href=\"" + img + "\"><img src=\"" + img + "\" alt=\"\"></a>" : "<div class=\"none\"></div>") +
+               "<figcaption><b>" + htmlEscape(caption) + "</b>" +
+               lines.map(function(l){ return "<br>" + htmlEscape(l); }).join("") + "</figcaption></figure>";
+    }
+
+    var tiles = [], counts = { accepted: 0, rejected: 0, failed: 0 };
+    for (var i = 0; i < sessionManifest.lights.length; i++) {
+        var light = sessionManifest.lights[i], name = lightBaseName(light.file);
+        var status = dropped[name] ? "failed" : rejected[name] ? "rejected" : "accepted";
+        counts[status]++;
+        var lines = [(light.exposure || "?") + "s" + (light.header.filter ? ", " + light.header.filter : "")];
+        var r = measured[name];
+        if (r && r.measured)
+            lines.push("FWHM " + r.fwhm.toFixed(2) + ", ecc. " + r.eccentricity.toFixed(2) + ", " + r.stars + " stars");
+        if (sessionManifest.cosmetic.hasOwnProperty(name) && sessionManifest.cosmetic[name] !== null)
+            lines.push(sessionManifest.cosmetic[name] + " pixels cosmetically corrected");
+        if (status === "rejected") lines.push("REJECTED: " + rejected[name].join("; "));
+        if (status === "failed")   lines.push("FAILED in " + dropped[name]);
+        tiles.push(tile(status, debayered[name] ? thumb(debayered[name], name, false) : null, name, lines));
+    }
+    var maps = [];
+    var mapNames = ["rejection_low", "rejection_high"];
+    for (var i = 0; i < mapNames.length; i++) {
+        var mapFile = masterDir + "/" + mapNames[i] + ".xisf";
+        if (fileExists(mapFile))
+            maps.push(tile("map", thumb(mapFile, mapNames[i], true), mapNames[i] + ".xisf", []));
+    }
+
+    var title = sessionManifest.object + " / " + sessionManifest.date;
+    var html = ["<!DOCTYPE html>", "<html><head><meta charset=\"utf-8\"><title>" + htmlEscape(title) + "</title>",
+                "<style>body{font-family:sans-serif;background:#222;color:#ddd}" +
+                "figure{display:inline-block;vertical-align:top;width:" + THUMBNAIL_SIZE / 2 + "px;margin:4px;" +
+                "padding:4px;border:3px solid #555;font-size:11px}figure img{width:100%}" +
+                ".none{height:" + THUMBNAIL_SIZE / 2 + "px;background:#000}" +
+                ".rejected{border-color:#d80}.failed{border-color:#d22}.map{border-color:#48c}" +
+                ".rejected img,.failed img{opacity:.6}</style>",
+                "</head><body>", "<h1>" + htmlEscape(title) + "</h1>",
+                "<p>" + sessionManifest.lights.length + " lights: " + counts.accepted + " accepted, " +
+                counts.rejected + " rejected, " + counts.failed + " failed \u2014 session " +
+                htmlEscape(sessionManifest.status) + "</p>",
+                tiles.join("\n")];
+    if (maps.length > 0) html.push("<h2>Rejection maps</h2>", maps.join("\n"));
+    html.push("</body></html>");
+
+    var sheet = logsDir + "/contact_sheet.html";
+    File.writeTextFile(sheet, html.join("\n") + "\n");
+    log("  Contact sheet: " + sheet);
+    return sheet;
+}
+
+// ── Per-step resume ──────────────────────────────────────────
+// Manifest of completed steps, kept in <logsDir>/steps.json (or <name>.json):
+//   { steps: { <key>: { step, completed, inputs, outputs, params, data } } }
+// `invalidated` is set once any step re-runs in this session, so every
+// later step re-runs as well.
+function loadStepManifest(logsDir, name) {
+    var manifest = { file: logsDir + "/" + (name || "steps") + ".json", steps: {}, invalidated: false };
+    if (STEP_RESUME_ENABLED && fileExists(manifest.file)) {
+        try {
+            manifest.steps = JSON.parse(File.readTextFile(manifest.file)).steps || {};
+        } catch (e) {
+            log("  WARNING: cannot read " + manifest.file + " (" + e.message + ") — running every step.");
+        }
+    }
+    return manifest;
+}
+
+// True when FORCE_FROM_STEP asks for step n to be re-run.
+function stepForced(n) {
+    return FORCE_FROM_STEP > 0 && n >= FORCE_FROM_STEP;
+}
+
+// Modification time of a file in ms, or null when it does not exist.
+function fileTime(path) {
+    if (!path || !fileExists(path)) return null;
+    return (new FileInfo(path)).lastModified.getTime();
+}
+
+// Returns the manifest entry for `key` if the step can be skipped: same
+// inputs (order-independent) and params, every output present and no
+// output older than the newest input. Otherwise returns null and marks the
+// manifest invalidated. inputs may contain "" (e.g. missing .xdrz).
+function stepUpToDate(manifest, key, n, inputs, params) {
+    var entry = manifest ? manifest.steps[key] : null;
+    var ok = STEP_RESUME_ENABLED && entry && !manifest.invalidated && !stepForced(n) &&
+             (entry.params || "") === (params || "");
+    if (ok) {
+        var want = inputs.filter(function(f){ return f !== ""; }).sort();
+        var had  = entry.inputs.slice().sort();
+        ok = want.length === had.length && want.join("\n") === had.join("\n");
+    }
+    if (ok) {
+        var newestInput = 0;
+        for (var i = 0; ok && i < entry.inputs.length; i++) {
+            var t = fileTime(entry.inputs[i]);
+            if (t === null) ok = false; else newestInput = Math.max(newestInput, t);
+        }
+        for (var i = 0; ok && i < entry.outputs.length; i++) {
+            var t = fileTime(entry.outputs[i]);
+            if (t === null || t < newestInput) ok = false;
+        }
+        ok = ok && entry.outputs.length > 0;
+    }
+    if (!ok) {
+        if (manifest) manifest.invalidated = true;
+        return null;
+    }
+    return entry;
+}
+
+// Records a completed step and rewrites the manifest. data: anything the
+// step's caller needs to resume without re-running (JSON-serialisable).
+function recordStep(manifest, key, n, inputs, outputs, params, data) {
+    if (!manifest || !STEP_RESUME_ENABLED) return;
+    manifest.steps[key] = {
+        step:      n,
+        completed: (new Date()).toISOString(),
+        inputs:    inputs.filter(function(f){ return f !== ""; }),
+        outputs:   outputs.filter(function(f){ return f !== ""; }),
+        params:    params || "",
+        data:      data === undefined ? null : data
+    };
+    File.writeTextFile(manifest.file, JSON.stringify({ steps: manifest.steps }, null, 2));
+}
+
+// Log line for a skipped step.
+function logStepSkipped(label, entry) {
+    log("\n" + label + " SKIPPED — up to date (" + entry.outputs.length +
+        " output(s) from " + entry.completed + ").");
+}
+
+// ── Stack: registration → normalization → integration → drizzle ──
+// Shared by single sessions and multi-night projects.
+// files:         debayered subs that passed grading
+// refCandidates: measurement records for reference selection, or null to
+//                measure `files` here (only when REFERENCE_AUTO_SELECT)
+// firstStep/totalSteps: numbering for the "[n/N]" log markers
+// manifest: optional step manifest (loadStepManifest) — steps that are up
+//           to date are skipped and their results read back from it.
+//           Manifest/FORCE_FROM_STEP numbering is always the session's 6-9.
+// drizzleOut: drizzle master path, or null to skip DrizzleIntegration
+// drizzleMode: optional, "rgb" or "cfa" (default DRIZZLE_MODE)
+// reference: optional fixed registration reference { file, score, note }
+//            (score null when unmeasured, note logged with it) used instead
+//            of selecting one — in mono sessions a sub of another filter, so
+//            every filter shares its grid; for narrowband channels the sub
+//            of the RGB reference
+// Returns { saRef, lnRef, registered, drizzle, normalized, solve, crop, preview, finalOutput,
+//           timings: [{ step, name, seconds, skipped }] }.
+// finalOutput is the cropped drizzle (or integration) when auto-crop ran.
+function stackFrames(files, refCandidates, registeredDir, masterDir, drizzleOut, firstStep, totalSteps, manifest,
+                     drizzleMode, reference) {
+    function tag(n) { return "[" + (firstStep + n) + "/" + totalSteps + "]"; }
+    var refParams = "auto-reference=" + REFERENCE_AUTO_SELECT;
+    var saParams  = reference ? refParams + ", reference=" + File.extractName(reference.file) : refParams;
+    var timings = [], started = Date.now();
+
+    var saRef = null, saResult;
+    var saDone = stepUpToDate(manifest, "register", 6, files, saParams);
+    if (saDone) {
+        logStepSkipped(tag(0) + " StarAlignment", saDone);
+        saRef    = saDone.data.ref;
+        saResult = saDone.data.result;
+    } else {
+        log("\n" + tag(0) + " StarAlignment + drizzle data...");
+        if (reference) {
+            saRef = reference;
+            log("  Registration reference: " + File.extractNameAndExtension(reference.file) + " (" +
+                (reference.note || "common to all filters") + ")");
+        } else if (REFERENCE_AUTO_SELECT) {
+            saRef = selectReference(refCandidates || measureSubframes(files), "Registration");
+            closeAllWindows();
+        }
+        saResult = runStarAlignment(files, registeredDir, saRef ? saRef.file : null);
+        closeAllWindows();
+        if (saResult.registered.length > 0)
+            recordStep(manifest, "register", 6, files,
+                       saResult.registered.concat(saResult.drizzle), saParams,
+                       { ref: saRef, result: saResult });
+    }
+
+    timeStep(timings, firstStep, "StarAlignment", started, saDone);
+    if (saResult.registered.length === 0)
+        throw new Error("No registered files produced by StarAlignment.");
+
+    started = Date.now();
+    var lnRef = null, lnFiles;
+    var lnDone = stepUpToDate(manifest, "normalize", 7, saResult.registered, refParams);
+    if (lnDone) {
+        logStepSkipped(tag(1) + " LocalNormalization", lnDone);
+        lnRef   = lnDone.data.ref;
+        lnFiles = lnDone.data.files;
+    } else {
+        log("\n" + tag(1) + " LocalNormalization...");
+        if (REFERENCE_AUTO_SELECT && saResult.registered.length > 1) {
+            lnRef = selectReference(measureSubframes(saResult.registered), "LocalNormalization");
+            closeAllWindows();
+        }
+        lnFiles = runLocalNormalization(saResult.registered,
+            lnRef ? lnRef.file : saResult.registered[0], registeredDir);
+        closeAllWindows();
+        recordStep(manifest, "normalize", 7, saResult.registered,
+                   lnFiles.concat(lnFiles.map(function(f){ return f.replace(/_n\.xisf$/i, "_n.xnml"); })
+                                         .filter(fileExists)),
+                   refParams, { ref: lnRef, files: lnFiles });
+    }
+    timeStep(timings, firstStep + 1, "LocalNormalization", started, lnDone);
+
+    // Pass normalization data files (.xnml) to ImageIntegration
+    // They are written alongside the _n.xisf files with the same base name
+    var lnDataFiles = [];
+    for (var i = 0; i < lnFiles.length; i++) {
+        var xnml = lnFiles[i].replace(/_n\.xisf$/i, "_n.xnml");
+        lnDataFiles.push(fileExists(xnml) ? xnml : "");
+    }
+    var nLN = lnDataFiles.filter(function(f){ return f !== ""; }).length;
+    log("  " + nLN + " normalization data files (.xnml) found.");
+
+    started = Date.now();
+    var iiInputs = lnFiles.concat(saResult.drizzle, lnDataFiles);
+    var iiDone = stepUpToDate(manifest, "integrate", 8, iiInputs);
+    if (iiDone) {
+        logStepSkipped(tag(2) + " ImageIntegration", iiDone);
+    } else {
+        log("\n" + tag(2) + " ImageIntegration...");
+        runImageIntegration(lnFiles, saResult.drizzle, masterDir, lnDataFiles);
+        closeAllWindows();
+        recordStep(manifest, "integrate", 8, iiInputs,
+                   [masterDir + "/integration.xisf", masterDir + "/rejection_low.xisf"]);
+    }
+    timeStep(timings, firstStep + 2, "ImageIntegration", started, iiDone);
+
+    started = Date.now();
+    var finalOutput;
+    var validDrizzle = drizzleOut ? saResult.drizzle.filter(function(f){ return f !== ""; }) : [];
+    var cfa = (drizzleMode || DRIZZLE_MODE) === "cfa";
+    var diParams = "scale=" + DRIZZLE_SCALE + (cfa ? ", mode=cfa" : "");
+    var diDone = validDrizzle.length > 0
+        ? stepUpToDate(manifest, "drizzle", 9, validDrizzle, diParams) : null;
+    if (diDone) {
+        logStepSkipped(tag(3) + " DrizzleIntegration", diDone);
+        finalOutput = drizzleOut;
+    } else if (validDrizzle.length > 0) {
+        var diFiles = cfa ? cfaDrizzleFiles(validDrizzle, files) : saResult.drizzle;
+        if (diFiles.length === 0)
+            throw new Error("CFA drizzle: no sub has a calibrated CFA source \u2014 set DRIZZLE_MODE = \"rgb\".");
+        log("\n" + tag(3) + " DrizzleIntegration (" + DRIZZLE_SCALE + "x, " + (cfa ? "CFA, " : "") +
+            diFiles.filter(function(f){ return f !== ""; }).length + " frames)...");
+        runDrizzleIntegration(diFiles, drizzleOut, cfa);
+        closeAllWindows();
+        finalOutput = drizzleOut;
+        recordStep(manifest, "drizzle", 9, validDrizzle, [drizzleOut], diParams);
+    } else if (!drizzleOut) {
+        log("\n" + tag(3) + " DrizzleIntegration skipped.");
+        finalOutput = masterDir + "/integration.xisf";
+    } else {
+        log("\n" + tag(3) + " WARNING: DrizzleIntegration skipped \u2014 no .xdrz files.");
+        finalOutput = masterDir + "/integration.xisf";
+    }
+
+    timeStep(timings, firstStep + 3, "DrizzleIntegration", started, diDone || validDrizzle.length === 0);
+
+    // Plate-solve the masters in place before they are cropped. Failures
+    // are only reported.
+    var solve = null;
+    if (PLATE_SOLVE_ENABLED) {
+        started = Date.now();
+        var solveMasters = [{ file: masterDir + "/integration.xisf", scale: 1 }];
+        if (finalOutput === drizzleOut) solveMasters.push({ file: drizzleOut, scale: DRIZZLE_SCALE });
+        var solveFiles  = solveMasters.map(function(m){ return m.file; });
+        var solveParams = "focal=" + PLATE_SOLVE_FOCAL_LENGTH + ", pixel=" + PLATE_SOLVE_PIXEL_SIZE;
+        var solveDone = stepUpToDate(manifest, "solve", 9, solveFiles, solveParams);
+        if (solveDone) {
+            logStepSkipped(tag(3) + " Plate solving", solveDone);
+            solve = solveDone.data;
+        } else {
+            log("\n" + tag(3) + " Plate solving...");
+            solve = runPlateSolve(solveMasters, files[0]);
+            closeAllWindows();
+            recordStep(manifest, "solve", 9, solveFiles, solveFiles, solveParams, solve);
+        }
+        timeStep(timings, firstStep + 3, "Plate solving", started, solveDone);
+    }
+
+    // Auto-crop both masters to the well-covered region. A failure only
+    // leaves the uncropped masters as the result.
+    var crop = null;
+    if (AUTOCROP_ENABLED) {
+        started = Date.now();
+        var drizzled   = finalOutput === drizzleOut ? drizzleOut : null;
+        var cropInputs = [masterDir + "/integration.xisf", masterDir + "/rejection_low.xisf"]
+                         .concat(drizzled ? [drizzled] : []);
+        var cropParams = "coverage=" + AUTOCROP_MIN_COVERAGE + ", scale=" + DRIZZLE_SCALE;
+        var cropDone = stepUpToDate(manifest, "crop", 9, cropInputs, cropParams);
+        if (cropDone) {
+            logStepSkipped(tag(3) + " Auto-crop", cropDone);
+            crop = cropDone.data;
+        } else {
+            log("\n" + tag(3) + " Auto-crop...");
+            try {
+                crop = runAutoCrop(masterDir, drizzled);
+                recordStep(manifest, "crop", 9, cropInputs,
+                           [crop.integration].concat(crop.drizzle ? [crop.drizzle] : []), cropParams, crop);
+            } catch (e) {
+                log("  WARNING: auto-crop skipped \u2014 " + e.message);
+            }
+            closeAllWindows();
+        }
+        if (crop !== null) finalOutput = crop.drizzle || crop.integration;
+        timeStep(timings, firstStep + 3, "Auto-crop", started, cropDone);
+    }
+
+    // Stretched quick-look of the final master; failures are only reported.
+    var preview = null;
+    if (QUICKLOOK_ENABLED) {
+        started = Date.now();
+        var qlParams = "format=" + QUICKLOOK_FORMAT;
+        var qlDone = stepUpToDate(manifest, "quicklook", 9, [finalOutput], qlParams);
+        if (qlDone) {
+            logStepSkipped(tag(3) + " Quick-look preview", qlDone);
+            preview = qlDone.data;
+        } else {
+            log("\n" + tag(3) + " Quick-look preview...");
+            try {
+                preview = runQuickLook(finalOutput);
+                recordStep(manifest, "quicklook", 9, [finalOutput], [preview.file], qlParams, preview);
+            } catch (e) {
+                log("  WARNING: quick-look preview skipped \u2014 " + e.message);
+            }
+            closeAllWindows();
+        }
+        timeStep(timings, firstStep + 3, "Quick-look preview", started, qlDone);
+    }
+
+    return {
+        saRef:       saRef,
+        lnRef:       lnRef,
+        registered:  saResult.registered,
+        drizzle:     saResult.drizzle,
+        normalized:  lnFiles,
+        solve:       solve,
+        crop:        crop,
+        preview:     preview,
+        finalOutput: finalOutput,
+        timings:     timings
+    };
+}
+
+// Drizzle master path for a session: <masterDir>/drizzle_<Object>_<Date>.xisf
+// (drizzle_<Object>_<Date>_<Filter>.xisf for one filter of a mixed session)
+// mode: optional drizzle mode (default DRIZZLE_MODE)
+function drizzleOutputPath(masterDir, objectName, dateStr, filter, mode) {
+    return masterDir + "/drizzle_" + objectName.replace(/ /g, "_") + "_" + dateStr +
+           (filter !== undefined ? "_" + filterDirName(filter) : "") + drizzleModeSuffix(mode) + ".xisf";
+}
+
+// ── Calibration discovery per session ───────────────────────
+// Collects the individual light frames (Light_*.fit / Light_*.fits) of a
+// session folder.
+function lightFilesIn(sourceDir) {
+    var fitFiles = [];
+    var fitExts = ["*.fit", "*.fits"];
+    for (var ei = 0; ei < fitExts.length; ei++) {
+        var fitFf = new FileFind;
+        if (fitFf.begin(sourceDir + "/" + fitExts[ei])) {
+            do {
+                if (!fitFf.isDirectory && /^Light_/i.test(fitFf.name))
+                    fitFiles.push(sourceDir + "/" + fitFf.name);
+            } while (fitFf.next());
+            fitFf.end();
+        }
+    }
+    return fitFiles;
+}
+
+// Finds the flats of one filter group and the dark-flats matching their
+// exposure. Fills in fg.flatResult, fg.flatRawFiles, fg.flatStatus,
+// fg.flatChars, fg.darkFlatResult and fg.flatMismatch ({ warnings, errors }
+// of the flats and dark-flats).
+function planFilterFlats(fg, dateStr) {
+    var found = findFlats(dateStr, fg.filter);
+    var flatResult   = found ? found.result : null;
+    var flatRawFiles = found ? found.files : [];
+
+    var flatCheck = checkFlats(fg.chars, flatRawFiles);
+    var flatRejectNote = "";
+    if (flatCheck.rejected.length > 0) {
+        flatRejectNote = flatCheck.rejected.join("; ");
+        flatRawFiles = [];
+    }
+
+    // Dark-flats matched to the flats' own exposure
+    var flatChars     = flatRawFiles.length > 0 ? flatCharacteristics(flatRawFiles) : null;
+    var darkFlatMatch = flatChars ? matchDark(flatChars, dateStr, "darkflats")
+                                  : { match: null, warnings: [], rejected: [], errors: [] };
+
+    // Flat status string for the session summary (dark status is per group)
+    var flatStatus;
+    if (!flatResult) {
+        flatStatus = "\u2717 NOT USED \u2014 no flats found within \u00b1" +
+                     CALIB_DATE_TOLERANCE_DAYS + " day(s) of " + dateStr;
+    } else if (flatRejectNote) {
+        flatStatus = "\u2717 NOT USED \u2014 " + flatRejectNote;
+    } else if (flatRawFiles.length === 0) {
+        flatStatus = "\u2717 NOT USED \u2014 none of the " + found.others + " flats in " + flatResult.dir +
+                     " has FILTER " + fg.filter;
+    } else {
+        var flatOffsetNote = flatResult.dayOffset === 0 ? "same date" :
+            (flatResult.dayOffset > 0 ? "+" : "") + flatResult.dayOffset + " day(s) (" + flatResult.date + ")";
+        flatStatus = "\u2713 AVAILABLE \u2014 " + flatRawFiles.length +
+                     " frames [" + flatOffsetNote + "] from " + flatResult.dir +
+                     (found.others > 0 ? " (FILTER " + fg.filter + "; " + found.others + " other flats left out)" : "");
+    }
+
+    fg.flatResult     = flatResult;
+    fg.flatRawFiles   = flatRawFiles;
+    fg.flatStatus     = flatStatus;
+    fg.flatChars      = flatChars;
+    fg.darkFlatResult = darkFlatMatch.match;
+    fg.flatMismatch   = { warnings: flatCheck.warnings.concat(darkFlatMatch.warnings),
+                          errors:   flatCheck.errors.concat(darkFlatMatch.errors) };
+}
+
+// Finds every calibration source of a session without building anything,
+// searching within CALIB_DATE_TOLERANCE_DAYS of the session date:
+//   Darks:      Z:/RAW/<date>/darks/<any>/ — matched per exposure group on
+//               FITS characteristics (planGroupDark), library master as fallback
+//   Flats:      Z:/RAW/<date>/flats/<filter>/ or flats/ — per filter group
+//               (planFilterFlats), checked for binning/BAYERPAT
+//   Bias:       Z:/RAW/<date>/bias/
+//   Dark-flats: Z:/RAW/<date>/darkflats/<any>/ — matched to the flats' exposure
+// Shared by processSession and the dry-run plan.
+// Returns { biasResult, biasRawFiles, warnings, errors } where warnings and
+// errors are the header mismatches of darks, flats and dark-flats.
+function discoverCalibration(filterGroups, dateStr) {
+    var warnings = [], errors = [];
+    for (var fi = 0; fi < filterGroups.length; fi++) {
+        var fg = filterGroups[fi];
+        for (var gi = 0; gi < fg.expGroups.length; gi++)
+            planGroupDark(fg.expGroups[gi], dateStr);
+        planFilterFlats(fg, dateStr);
+
+        // Header mismatches: warnings are reported in the summary, "error"
+        // policy mismatches fail the session.
+        warnings = warnings.concat(fg.flatMismatch.warnings);
+        errors   = errors.concat(fg.flatMismatch.errors);
+        for (var gi = 0; gi < fg.expGroups.length; gi++) {
+            warnings = warnings.concat(fg.expGroups[gi].darkMatch.warnings);
+            errors   = errors.concat(fg.expGroups[gi].darkMatch.errors);
+        }
+    }
+
+    var biasResult   = findCalibDir(dateStr, "bias");
+    var biasRawFiles = biasResult ? fitFilesIn(biasResult.dir) : [];
+    return {
+        biasResult:   biasResult,
+        biasRawFiles: biasRawFiles,
+        warnings:     warnings,
+        errors:       errors
+    };
+}
+
+// Master file paths, next to the raw frames they are built from.
+function masterDarkPath(darkResult, exposure) {
+    return darkResult.dir + "/master_dark_" + exposure + "s.xisf";
+}
+function masterFlatPath(flatResult) {
+    return flatResult.dir + "/master_flat_" + flatResult.date +
+           (flatResult.filter ? "_" + filterDirName(flatResult.filter) : "") + ".xisf";
+}
+function masterBiasPath(biasResult) {
+    return biasResult.dir + "/master_bias.xisf";
+}
+function masterDarkFlatPath(darkFlatResult) {
+    return darkFlatResult.dir + "/master_darkflat_" + exposureLabel(darkFlatResult.chars.exposure) + "s.xisf";
+}
+
+// ── Session manifest ─────────────────────────────────────────
+// Every processSession run writes a JSON manifest next to its log
+// (logs/preprocess_<timestamp>.json) and as logs/session.json (latest):
+// lights with their header data, masters with MD5 hashes, per-step
+// timings, frame counts per stage, rejected and dropped frames,
+// references, integration noise estimates and output paths.
+var SESSION_MANIFEST_VERSION = 1;
+var g_hashCache = {};  // path + modification time -> MD5 hex
+var HASH_CHUNK_SIZE = 16 * 1024 * 1024;  // bytes read per hash update
+
+// MD5 of a file as hex, cached per run; null if it cannot be read. The
+// file is read in HASH_CHUNK_SIZE chunks, so large masters are never held
+// in memory whole.
+function fileHash(path) {
+    var key = path + "@" + fileTime(path);
+    if (g_hashCache.hasOwnProperty(key)) return g_hashCache[key];
+    var hex = null;
+    var f = new File;
+    try {
+        f.openForReading(path);
+        var hash = new CryptographicHash(CryptographicHash_MD5);
+        hash.initialize();
+        for (var left = f.size; left > 0; left -= HASH_CHUNK_SIZE)
+            hash.update(f.read(DataType_ByteArray, Math.min(left, HASH_CHUNK_SIZE)));
+        hex = hash.finalize().toHex();
+    } catch (e) {
+        log("  WARNING: cannot hash " + path + ": " + e.message);
+    } finally {
+        if (f.isOpen) f.close();
+    }
+    g_hashCache[key] = hex;
+    return hex;
+}
+
+// Manifest entry for a calibration master, or null when none was used.
+function masterEntry(path) {
+    if (!path) return null;
+    var t = fileTime(path);
+    return { path: path, md5: t === null ? null : fileHash(path),
+             modified: t === null ? null : (new Date(t)).toISOString() };
+}
+
+// Noise/SNR estimates ImageIntegration writes into the integration's
+// FITS header (NOISExx, NOISEAxx, PSFSNR..., SNR...), as numbers.
+function integrationStats(file) {
+    var keywords = fileExists(file) ? readFitsKeywords(file) : null;
+    var stats = {};
+    if (keywords === null) return stats;
+    for (var name in keywords) {
+        if (!/^(NOISE|SNR|PSFSNR|PSFSGN)/.test(name)) continue;
+        var value = parseFloat(keywords[name]);
+        if (!isNaN(value)) stats[name] = value;
+    }
+    return stats;
+}
+
+// Light base names present in inputs but missing from outputs — frames a
+// step dropped (failed to calibrate, debayer or register).
+function droppedFrames(inputs, outputs) {
+    var out = {};
+    for (var i = 0; i < outputs.length; i++) out[lightBaseName(outputs[i])] = true;
+    var dropped = [];
+    for (var i = 0; i < inputs.length; i++)
+        if (inputs[i] !== "" && !out[lightBaseName(inputs[i])]) dropped.push(lightBaseName(inputs[i]));
+    return dropped;
+}
+
+// Total exposure in seconds of the frames in `files`, looked up by base
+// name in `lights` ([{ file, exposure }]). Frames of unknown exposure count 0.
+function integrationSeconds(lights, files) {
+    var expOf = {};
+    for (var i = 0; i < lights.length; i++)
+        expOf[lightBaseName(lights[i].file)] = parseFloat(lights[i].exposure) || 0;
+    var total = 0;
+    for (var i = 0; i < files.length; i++)
+        total += expOf[lightBaseName(files[i])] || 0;
+    return total;
+}
+
+// Appends a step timing { step, name, seconds, skipped } to `timings`.
+// started: Date.now() when the step began.
+function timeStep(timings, step, name, started, skipped) {
+    timings.push({ step: step, name: name,
+                   seconds: Math.round((Date.now() - started) / 100) / 10, skipped: !!skipped });
+}
+
+// Writes the manifest next to the current log and as logs/session.json.
+function writeSessionManifest(logsDir, sessionManifest) {
+    var text = JSON.stringify(sessionManifest, null, 2);
+    try {
+        if (g_logPath) File.writeTextFile(g_logPath.replace(/\.log$/, ".json"), text);
+        File.writeTextFile(logsDir + "/session.json", text);
+        log("  Session manifest: " + logsDir + "/session.json");
+    } catch (e) {
+        log("  WARNING: cannot write session manifest: " + e.message);
+    }
+}
+
+// A processed session's logs/session.json, or null when it is missing or
+// cannot be read.
+function readSessionManifest(processedBase) {
+    var manifestFile = processedBase + "/logs/session.json";
+    if (!fileExists(manifestFile)) return null;
+    try {
+        return JSON.parse(File.readTextFile(manifestFile));
+    } catch (e) {
+        return null;
+    }
+}
+
+// Whether a session completed on a previous run: _processed.txt exists in
+// its RAW folder and logs/session.json, when present, records a complete
+// run whose final image still exists. Sessions processed before manifests
+// existed are judged by _processed.txt alone.
+// Returns { complete, note } — note explains a sentinel that is not trusted.
+function sessionCompleted(sourceDir, processedBase) {
+    if (!fileExists(sourceDir + "/_processed.txt")) return { complete: false, note: "" };
+    var m = readSessionManifest(processedBase);
+    if (m === null) return { complete: true, note: "" };
+    if (m.status !== "complete")
+        return { complete: false, note: "last run recorded as " + m.status };
+    if (m.outputs && m.outputs.final && !fileExists(m.outputs.final))
+        return { complete: false, note: "final image missing: " + m.outputs.final };
+    return { complete: true, note: "" };
+}
+
+// ── Dry-run plan ─────────────────────────────────────────────
+// What processSession would do, worked out from the folders and FITS
+// headers alone — no PixInsight process runs. Printed to the console and
+// written to NAS_PROCESSED_ROOT/_dry_run_plan.md and .json.
+var g_sessionPlans   = [];  // one plan per selected session, in run order
+var g_plannedMasters = {};  // master path -> true once a plan builds it
+
+// Plan entry for one calibration master: where its frames come from and
+// whether it would be built or reused.
+function planMaster(result, frames, masterPath, forceStep) {
+    var reuse = g_plannedMasters.hasOwnProperty(masterPath) ? "built earlier in this run"
+              : (fileExists(masterPath) && !stepForced(forceStep)) ? "existing master reused"
+              : "to be built";
+    g_plannedMasters[masterPath] = true;
+    return { dir: result.dir, date: result.date, dayOffset: result.dayOffset,
+             frames: frames, master: masterPath, reuse: reuse };
+}
+
+// Plans one session (see processSession for the arguments), appends it to
+// g_sessionPlans and records it in g_runResults.
+function planSession(objectName, dateStr, sourceDir, processedBase) {
+    var base = processedBase || (NAS_PROCESSED_ROOT + "/" + friendlyName(objectName) + "/" + dateStr);
+    var plan = {
+        object: objectName, date: dateStr, source: sourceDir, output: base,
+        status: "pending", reason: "", lights: 0, camera: null, groups: [],
+        flats: [], bias: null,
+        warnings: [], errors: [], uncalibrated: [], outputs: null
+    };
+    var done = sessionCompleted(sourceDir, base);
+    var processed = done.complete;
+
+    if (processed && !g_runOptions.force) {
+        plan.status = "skipped";
+        plan.reason = "already processed (_processed.txt)";
+    } else if (!objectConfigOk(friendlyName(objectBaseName(objectName)))) {
+        plan.status = "error";
+        plan.reason = "invalid pipeline.json";
+    } else if (!sessionConfigOk(base)) {
+        plan.status = "error";
+        plan.reason = "invalid session pipeline.json";
+    } else {
+        if (processed) plan.reason = "forced — _processed.txt ignored";
+        else if (done.note) plan.reason = "_processed.txt present but " + done.note + " — re-run";
+        var fitFiles = lightFilesIn(sourceDir);
+        if (fitFiles.length === 0) {
+            plan.status = "skipped";
+            plan.reason = "no light frames";
+        } else {
+            var lights       = characteriseLights(fitFiles);
+            var filterGroups = groupLightsByFilter(lights);
+            var calib = discoverCalibration(filterGroups, dateStr);
+            var mono  = monoLights(lights);
+            plan.lights   = fitFiles.length;
+            plan.camera   = mono ? "mono" : "osc";
+            plan.warnings = calib.warnings;
+            plan.errors   = calib.errors;
+            if (calib.errors.length > 0) {
+                plan.status = "error";
+                plan.reason = "would fail: calibration frames do not match the lights";
+            }
+
+            if (calib.biasRawFiles.length > 0)
+                plan.bias = planMaster(calib.biasResult, calib.biasRawFiles.length,
+                                       masterBiasPath(calib.biasResult), 2);
+            for (var fi = 0; fi < filterGroups.length; fi++) {
+                var fg = filterGroups[fi], flatUsable = fg.flatRawFiles.length > 0;
+                plan.flats.push({
+                    filter:   fg.filter,
+                    master:   flatUsable ? planMaster(fg.flatResult, fg.flatRawFiles.length,
+                                                      masterFlatPath(fg.flatResult), 2) : null,
+                    note:     flatUsable ? "" : fg.flatStatus,
+                    darkFlat: flatUsable && fg.darkFlatResult
+                        ? planMaster(fg.darkFlatResult, fg.darkFlatResult.files.length,
+                                     masterDarkFlatPath(fg.darkFlatResult), 2) : null
+                });
+
+                for (var gi = 0; gi < fg.expGroups.length; gi++) {
+                    var group = fg.expGroups[gi];
+                    var dark = null;
+                    if (group.darkResult) {
+                        dark = planMaster(group.darkResult, group.darkResult.files.length,
+                                          masterDarkPath(group.darkResult, group.exposure), 1);
+                        dark.source = "folder";
+                    } else if (group.libraryDark) {
+                        var lib = group.libraryDark;
+                        dark = { source: "library", dir: null, date: lib.entry.date, dayOffset: lib.dayOffset,
+                                 frames: lib.entry.frames || null, master: lib.entry.path, reuse: "library master" };
+                    }
+                    var useBias = plan.bias !== null &&
+                        (CALIB_BIAS_FOR_LIGHTS === "always" || (CALIB_BIAS_FOR_LIGHTS === "no-dark" && dark === null));
+                    var calibrated = dark !== null || flatUsable || useBias;
+                    plan.groups.push({ filter: group.filter, label: group.label, exposure: group.exposure,
+                                       frames: group.files.length, dark: dark, darkNote: dark ? "" : group.darkStatus,
+                                       bias: useBias, calibrated: calibrated });
+                    if (!calibrated) plan.uncalibrated.push(group.label);
+                }
+            }
+
+            // One stack per filter; mixed filters (and mono) get master/<filter>/
+            var perFilter = filterGroups.length > 1 || mono;
+            plan.outputs = {
+                calibrated:  base + "/calibrated",
+                debayered:   mono ? null : base + "/debayered",
+                registered:  base + "/registered",
+                filters:     filterGroups.map(function(fg){
+                    var masterDir = base + "/master" + (perFilter ? "/" + filterDirName(fg.filter) : "");
+                    return {
+                        filter:      fg.filter,
+                        integration: masterDir + "/integration.xisf",
+                        drizzle:     perFilter ? drizzleOutputPath(masterDir, objectName, dateStr, fg.filter,
+                                                                   mono ? "rgb" : DRIZZLE_MODE)
+                                               : drizzleOutputPath(masterDir, objectName, dateStr),
+                        channel:     mono ? channelMasterPath(base + "/master", fg.filter, objectName, dateStr) : null,
+                        narrowband:  !mono && narrowbandWanted(fg.lights)
+                            ? NARROWBAND_CHANNELS.map(function(ch){
+                                  return narrowbandOutputPath(masterDir, ch.name, objectName, dateStr); })
+                            : null
+                    };
+                }),
+                logs:        base + "/logs"
+            };
+        }
+    }
+
+    g_sessionPlans.push(plan);
+    recordResult("session", objectName, dateStr,
+                 plan.status === "pending" ? "planned" : plan.status === "error" ? "failed" : "skipped",
+                 null, plan.reason);
+}
+
+// "+1 day(s) (2026-02-12)" / "same date"
+function dayOffsetNote(dayOffset, date) {
+    return dayOffset === 0 ? "same date" : (dayOffset > 0 ? "+" : "") + dayOffset + " day(s) (" + date + ")";
+}
+
+// Human-readable lines describing a session plan, for the console and
+// the Markdown report.
+function planLines(plan) {
+    function master(label, m) {
+        if (m === null) return null;
+        return label + (m.dir || m.master) + " [" + dayOffsetNote(m.dayOffset, m.date) + "]" +
+               (m.frames ? ", " + m.frames + " frames" : "") + " — " + m.reuse +
+               (m.dir ? ": " + m.master : "");
+    }
+    var lines = [];
+    if (plan.reason) lines.push("Note         : " + plan.reason);
+    if (plan.outputs === null) return lines;
+    lines.push("Source       : " + plan.source);
+    lines.push("Lights       : " + plan.lights + " (" + plan.groups.map(function(g){
+        return g.frames + " × " + g.label; }).join(", ") + ")");
+    for (var i = 0; i < plan.groups.length; i++) {
+        var g = plan.groups[i];
+        var label = summaryLabel("Darks " + g.label) + ": ";
+        lines.push(g.dark ? master(label + (g.dark.source === "library" ? "library " : ""), g.dark)
+                          : label + g.darkNote);
+        if (g.bias) lines.push("               + master bias for the " + g.label + " group");
+    }
+    var perFilter = plan.flats.length > 1 || plan.camera === "mono";
+    for (var i = 0; i < plan.flats.length; i++) {
+        var f = plan.flats[i], sfx = perFilter ? " " + (f.filter || NO_FILTER) : "";
+        lines.push(f.master ? master(summaryLabel("Flats" + sfx) + ": ", f.master)
+                            : summaryLabel("Flats" + sfx) + ": " + f.note);
+        if (f.master)
+            lines.push(f.darkFlat ? master(summaryLabel("Dark-flats" + sfx) + ": ", f.darkFlat)
+                                  : summaryLabel("Dark-flats" + sfx) + ": none — flats calibrated with " +
+                                    (plan.bias ? "the master bias" : "nothing"));
+    }
+    lines.push(plan.bias ? master("Bias         : ", plan.bias) : "Bias         : none");
+    for (var i = 0; i < plan.warnings.length; i++)
+        lines.push("⚠ Mismatch   : " + plan.warnings[i]);
+    for (var i = 0; i < plan.errors.length; i++)
+        lines.push("✗ Error      : " + plan.errors[i]);
+    if (plan.uncalibrated.length > 0)
+        lines.push("⚠ UNCALIBRATED: " + plan.uncalibrated.join(", ") + " group(s) would run with no dark, flat or bias");
+    lines.push("Output       : " + plan.output);
+    if (plan.camera === "mono")
+        lines.push("Camera       : mono — no debayer" +
+                   (plan.flats.length > 1 ? ", all filters registered to one common reference" : ""));
+    for (var i = 0; i < plan.outputs.filters.length; i++) {
+        var out = plan.outputs.filters[i], sfx = perFilter ? " " + (out.filter || NO_FILTER) : "";
+        lines.push(summaryLabel("Final image" + sfx) + ": " + out.drizzle + " (or " + out.integration + ")" +
+                   (AUTOCROP_ENABLED ? ", cropped to *_crop.xisf" : ""));
+        if (out.channel)
+            lines.push(summaryLabel("Channel" + sfx) + ": " + out.channel);
+        if (out.narrowband)
+            lines.push(summaryLabel("Narrowband" + sfx) + ": " + out.narrowband.join(", "));
+    }
+    return lines;
+}
+
+function planHeading(plan) {
+    return (plan.status === "pending" ? "PROCESS" : plan.status === "error" ? "ERROR  " : "skip   ") +
+           "  " + plan.object + " / " + plan.date +
+           (plan.uncalibrated.length > 0 ? "   ⚠ UNCALIBRATED" : "");
+}
+
+// Prints the plan and writes the Markdown and JSON reports.
+// selection: the folder that was selected (or given with --path).
+function writePlanReport(selection) {
+    var others = g_runResults.filter(function(r){ return r.kind !== "session"; });
+    var pending = g_sessionPlans.filter(function(p){ return p.status === "pending"; });
+    var uncal   = pending.filter(function(p){ return p.uncalibrated.length > 0; });
+
+    Console.writeln("\n" + "=".repeat(40));
+    Console.writeln("DRY RUN — nothing was processed");
+    Console.writeln("=".repeat(40));
+    for (var i = 0; i < g_sessionPlans.length; i++) {
+        var plan = g_sessionPlans[i];
+        if (plan.uncalibrated.length > 0) Console.warningln("\n" + planHeading(plan));
+        else Console.writeln("\n" + planHeading(plan));
+        var lines = planLines(plan);
+        for (var j = 0; j < lines.length; j++) Console.writeln("    " + lines[j]);
+    }
+    for (var i = 0; i < others.length; i++)
+        Console.writeln("\n" + (others[i].status === "planned" ? "PROCESS" : "skip   ") + "  " +
+                        others[i].kind + " " + others[i].object + " / " + others[i].date +
+                        (others[i].message ? " — " + others[i].message : ""));
+    var summary = pending.length + " session(s) to process, " +
+                  (g_sessionPlans.length - pending.length) + " skipped or failing" +
+                  (uncal.length > 0 ? ", " + uncal.length + " UNCALIBRATED" : "") + ".";
+    Console.writeln("\n" + summary);
+
+    var md = ["# Dry-run plan", "",
+              "- Generated: " + (new Date()).toISOString(),
+              "- Selection: `" + selection + "`",
+              "- Filters: " + describeRunFilters(),
+              "- " + summary, "",
+              "| | Object | Date | Lights | Darks | Flats | Note |",
+              "|---|---|---|---|---|---|---|"];
+    for (var i = 0; i < g_sessionPlans.length; i++) {
+        var p = g_sessionPlans[i];
+        var darks = p.groups.map(function(g){
+            return g.label + ": " + (g.dark ? (g.dark.source === "library" ? "library" :
+                dayOffsetNote(g.dark.dayOffset, g.dark.date)) : "**none**");
+        }).join("<br>");
+        var flats = p.flats.map(function(f){
+            return (p.flats.length > 1 ? (f.filter || NO_FILTER) + ": " : "") +
+                   (f.master ? dayOffsetNote(f.master.dayOffset, f.master.date) : "**none**");
+        }).join("<br>");
+        md.push("| " + (p.status === "pending" ? (p.uncalibrated.length > 0 ? "⚠️" : "▶") :
+                        p.status === "error" ? "✗" : "–") +
+                " | " + p.object + " | " + p.date + " | " + (p.lights || "") + " | " + darks +
+                " | " + flats +
+                " | " + (p.uncalibrated.length > 0 ? "**UNCALIBRATED " + p.uncalibrated.join(", ") + "** " : "") +
+                p.reason + " |");
+    }
+    for (var i = 0; i < g_sessionPlans.length; i++) {
+        var p = g_sessionPlans[i];
+        if (p.outputs === null) continue;
+        md.push("", "## " + p.object + " / " + p.date +
+                (p.uncalibrated.length > 0 ? " — ⚠️ UNCALIBRATED" : ""), "");
+        var lines = planLines(p);
+        for (var j = 0; j < lines.length; j++)
+            md.push("- " + lines[j].replace(/\s+:/, ":"));
+    }
+    if (others.length > 0) {
+        md.push("", "## Mosaics and projects", "");
+        for (var i = 0; i < others.length; i++)
+            md.push("- " + others[i].status + ": " + others[i].kind + " " + others[i].object +
+                    " / " + others[i].date + (others[i].message ? " — " + others[i].message : ""));
+    }
+
+    var reportBase = NAS_PROCESSED_ROOT + "/_dry_run_plan";
+    try {
+        File.writeTextFile(reportBase + ".md", md.join("\n") + "\n");
+        File.writeTextFile(reportBase + ".json", JSON.stringify({
+            generated: (new Date()).toISOString(),
+            selection: selection,
+            options:   g_runOptions,
+            sessions:  g_sessionPlans,
+            others:    others
+        }, null, 2));
+        Console.writeln("Plan report: " + reportBase + ".md / .json");
+    } catch (e) {
+        Console.criticalln("Cannot write plan report " + reportBase + ": " + e.message);
+    }
+}
+
+// ── Run summary ──────────────────────────────────────────────
+// One line per session, mosaic and project of the run, written to the
+// console and to NAS_PROCESSED_ROOT/_run_summary.md + .html.
+
+// Summary details of a processed session from its manifest:
+// { frames: { lights, integrated }, seconds, calibration: [text],
+//   uncalibrated: [exposure group], elapsed, log }
+function runDetails(sessionManifest, started) {
+    var m = sessionManifest, calibration = [], uncalibrated = [];
+    for (var i = 0; i < m.groups.length; i++) {
+        var g = m.groups[i];
+        var exp = (m.masters.flats.length > 1 ? (g.filter || NO_FILTER) + " " : "") + (g.exposure || "?") + "s";
+        var dark = m.masters.darks.filter(function(d){ return d.exposure === g.exposure; })[0];
+        calibration.push(dark ? "dark " + exp + (dark.library ? " (library)" : "") : "no dark " + exp);
+        if (!g.calibrated) uncalibrated.push(exp);
+    }
+    for (var i = 0; i < m.masters.flats.length; i++) {
+        var f = m.masters.flats[i];
+        calibration.push((f.flat ? "flat" : "no flat") +
+                         (m.masters.flats.length > 1 ? " " + (f.filter || NO_FILTER) : ""));
+    }
+    if (m.masters.bias) calibration.push("bias");
+    return {
+        frames:       { lights: m.counts.lights,
+                        integrated: m.status === "complete" ? m.counts.registered : null },
+        seconds:      m.integration ? m.integration.seconds : null,
+        calibration:  calibration,
+        uncalibrated: m.status === "complete" ? uncalibrated : [],
+        elapsed:      (Date.now() - started) / 1000,
+        log:          m.log
+    };
+}
+
+// "ok" is split into "success" and "uncalibrated" (a group ran with no
+// dark, flat or bias).
+function runStatus(r) {
+    if (r.status !== "ok") return r.status;
+    return (r.details && r.details.uncalibrated.length > 0) ? "uncalibrated" : "success";
+}
+
+// 7530 → "2h 05m", 750 → "12m 30s", 45 → "45s"
+function formatDuration(seconds) {
+    if (seconds === null || seconds === undefined) return "";
+    var s = Math.round(seconds), h = Math.floor(s / 3600), m = Math.floor((s % 3600) / 60);
+    if (h > 0) return h + "h " + ("0" + m).slice(-2) + "m";
+    if (m > 0) return m + "m " + ("0" + (s % 60)).slice(-2) + "s";
+    return s + "s";
+}
+
+// Table cells of one result: [status, kind, object, date, frames,
+// integration, calibration, elapsed, note]
+function runSummaryRow(r) {
+    var d = r.details, status = runStatus(r);
+    var frames = (d && d.frames) ? (d.frames.integrated !== null
+        ? d.frames.integrated + "/" + d.frames.lights : "\u2013/" + d.frames.lights) : "";
+    var note = r.message;
+    if (status === "uncalibrated")
+        note = "UNCALIBRATED " + d.uncalibrated.join(", ") + (note ? "; " + note : "");
+    return [status.toUpperCase(), r.kind, r.object, r.date, frames,
+            d ? formatDuration(d.seconds) : "", (d && d.calibration) ? d.calibration.join(", ") : "",
+            d ? formatDuration(d.elapsed) : "", note];
+}
+
+function htmlEscape(text) {
+    return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+                       .replace(/"/g, "&quot;");
+}
+
+function writeRunSummary(selection, started) {
+    var counts = { success: 0, uncalibrated: 0, failed: 0, skipped: 0 };
+    for (var i = 0; i < g_runResults.length; i++) {
+        var status = runStatus(g_runResults[i]);
+        counts[status] = (counts[status] || 0) + 1;
+    }
+    var summary = counts.success + " succeeded, " + counts.uncalibrated + " uncalibrated, " +
+                  counts.failed + " failed, " + counts.skipped + " skipped in " +
+                  formatDuration((Date.now() - started) / 1000) + ".";
+    var headings = ["Status", "Kind", "Object", "Date", "Frames", "Integration", "Calibration",
+                    "Elapsed", "Note"];
+    var rows = g_runResults.map(runSummaryRow);
+
+    Console.writeln("\n" + "=".repeat(40));
+    Console.writeln("RUN SUMMARY");
+    Console.writeln("=".repeat(40));
+    for (var i = 0; i < rows.length; i++) {
+        var c = rows[i];
+        var line = "  " + (c[0] + "            ").substring(0, 13) + c[2] + " / " + c[3] +
+                   (c[4] ? "  " + c[4] + " frames" : "") + (c[5] ? "  " + c[5] : "") +
+                   (c[6] ? "  [" + c[6] + "]" : "") + (c[7] ? "  " + c[7] : "") +
+                   (c[8] ? "  \u2014 " + c[8] : "");
+        if (c[0] === "FAILED") Console.criticalln(line);
+        else if (c[0] === "UNCALIBRATED") Console.warningln(line);
+        else Console.writeln(line);
+    }
+    if (rows.length === 0) Console.writeln("  Nothing selected.");
+    Console.writeln(summary);
+
+    var generated = (new Date()).toISOString();
+    var md = ["# Run summary", "",
+              "- Generated: " + generated,
+              "- Selection: `" + selection + "`",
+              "- Filters: " + describeRunFilters(),
+              "- " + summary, "",
+              "| " + headings.join(" | ") + " |",
+              "|" + headings.map(function(){ return "---"; }).join("|") + "|"];
+    for (var i = 0; i < rows.length; i++)
+        md.push("| " + rows[i].map(function(c, j){
+            c = String(c).replace(/\|/g, "\\|");
+            return (j === 0 && c !== "SUCCESS" && c !== "SKIPPED" && c !== "") ? "**" + c + "**" : c;
+        }).join(" | ") + " |");
+
+    var html = ["<!DOCTYPE html>", "<html><head><meta charset=\"utf-8\"><title>Run summary</title>",
+                "<style>body{font-family:sans-serif}table{border-collapse:collapse}" +
+                "td,th{border:1px solid #ccc;padding:3px 8px;text-align:left;vertical-align:top}" +
+                ".failed{background:#fdd}.uncalibrated{background:#ffd}.skipped{color:#888}</style>",
+                "</head><body>", "<h1>Run summary</h1>",
+                "<p>Generated " + htmlEscape(generated) + "<br>Selection: <code>" + htmlEscape(selection) +
+                "</code><br>Filters: " + htmlEscape(describeRunFilters()) + "<br>" + htmlEscape(summary) + "</p>",
+                "<table>", "<tr><th>" + headings.join("</th><th>") + "</th></tr>"];
+    for (var i = 0; i < rows.length; i++) {
+        var r = g_runResults[i];
+        html.push("<tr class=\"" + runStatus(r) + "\"><td>" + rows[i].map(function(c, j){
+            return (j === 8 && r.details && r.details.log)
+                ? htmlEscape(c) + (c ? " " : "") + "<a href=\"file:///" + htmlEscape(r.details.log) + "\">log</a>"
+                : htmlEscape(c);
+        }).join("</td><td>") + "</td></tr>");
+    }
+    html.push("</table>", "</body></html>");
+
+    var reportBase = NAS_PROCESSED_ROOT + "/_run_summary";
+    try {
+        File.writeTextFile(reportBase + ".md", md.join("\n") + "\n");
+        File.writeTextFile(reportBase + ".html", html.join("\n") + "\n");
+        Console.writeln("Run summary: " + reportBase + ".md / .html");
+    } catch (e) {
+        Console.criticalln("Cannot write run summary " + reportBase + ": " + e.message);
+    }
+}
+
+// ── Integration ledger ───────────────────────────────────────
+// Processed/<Object>/ledger.json:
+//   { object, updated,
+//     sessions: { "<date>[/<panel>]": { date, panel, frames, seconds,
+//                                       filters: { <filter>: { frames, seconds } },
+//                                       master, updated } },
+//     combined: { master, frames, updated } | null,
+//     totals:   { frames, seconds, nights, filters: { <filter>: { frames, seconds, nights } },
+//                 latestMaster, latestDate } }
+// A re-processed session replaces its entry, so nothing is counted twice.
+var LEDGER_FILE = "ledger.json";
+var NO_FILTER   = "none";
+
+// Integrated frames and exposure per FILTER of the frames in `files`,
+// looked up by base name in `lights` ([{ file, exposure, chars }]).
+function exposureByFilter(lights, files) {
+    var byName = {};
+    for (var i = 0; i < lights.length; i++)
+        byName[lightBaseName(lights[i].file)] = lights[i];
+    var filters = {};
+    for (var i = 0; i < files.length; i++) {
+        var light = byName[lightBaseName(files[i])];
+        if (!light) continue;
+        var f = light.chars.filter || NO_FILTER;
+        if (!filters.hasOwnProperty(f)) filters[f] = { frames: 0, seconds: 0 };
+        filters[f].frames++;
+        filters[f].seconds += parseFloat(light.exposure) || 0;
+    }
+    return filters;
+}
+
+function ledgerTotals(ledger) {
+    var totals = { frames: 0, seconds: 0, nights: 0, filters: {}, latestMaster: null, latestDate: null };
+    var nights = {};
+    for (var key in ledger.sessions) {
+        var s = ledger.sessions[key];
+        totals.frames  += s.frames;
+        totals.seconds += s.seconds;
+        nights[s.date] = true;
+        for (var f in s.filters) {
+            if (!totals.filters.hasOwnProperty(f))
+                totals.filters[f] = { frames: 0, seconds: 0, nights: 0, dates: {} };
+            var t = totals.filters[f];
+            t.frames  += s.filters[f].frames;
+            t.seconds += s.filters[f].seconds;
+            t.dates[s.date] = true;
+        }
+        if (s.master && (totals.latestDate === null || s.date >= totals.latestDate)) {
+            totals.latestDate   = s.date;
+            totals.latestMaster = s.master;
+        }
+    }
+    totals.nights = Object.keys(nights).length;
+    for (var f in totals.filters) {
+        totals.filters[f].nights = Object.keys(totals.filters[f].dates).length;
+        delete totals.filters[f].dates;
+    }
+    return totals;
+}
+
+// The object's ledger, or an empty one. An unreadable ledger is logged and
+// started afresh.
+function readLedger(objectDir) {
+    var path = objectDir + "/" + LEDGER_FILE;
+    if (fileExists(path)) {
+        try {
+            var ledger = JSON.parse(File.readTextFile(path));
+            if (ledger && ledger.sessions) return ledger;
+        } catch (e) {
+            log("  WARNING: " + path + " unreadable (" + e.message + ") \u2014 starting a new ledger.");
+        }
+    }
+    return { object: objectDir.replace(/.*\//, ""), updated: null, sessions: {}, combined: null, totals: null };
+}
+
+function writeLedger(objectDir, ledger) {
+    ledger.updated = (new Date()).toISOString();
+    ledger.totals  = ledgerTotals(ledger);
+    try {
+        File.writeTextFile(objectDir + "/" + LEDGER_FILE, JSON.stringify(ledger, null, 2));
+        log("  Ledger: " + ledger.totals.frames + " frames, " + formatDuration(ledger.totals.seconds) +
+            " over " + ledger.totals.nights + " night(s) \u2014 " + objectDir + "/" + LEDGER_FILE);
+    } catch (e) {
+        log("  WARNING: cannot write " + objectDir + "/" + LEDGER_FILE + ": " + e.message);
+    }
+}
+
+// Records a completed session. base: its processed folder, under
+// Processed/<Object>/.
+function ledgerAddSession(base, dateStr, lights, integrated, master) {
+    var rel = base.substring(NAS_PROCESSED_ROOT.length + 1).split("/");
+    var objectDir = NAS_PROCESSED_ROOT + "/" + rel[0];
+    var key = rel.slice(1).join("/");
+    var ledger = readLedger(objectDir);
+    var filters = exposureByFilter(lights, integrated), frames = 0, seconds = 0;
+    for (var f in filters) { frames += filters[f].frames; seconds += filters[f].seconds; }
+    ledger.sessions[key] = { date: dateStr, panel: rel.length > 2 ? rel[2] : null,
+                             frames: frames, seconds: seconds, filters: filters,
+                             master: master, updated: (new Date()).toISOString() };
+    writeLedger(objectDir, ledger);
+}
+
+// Records a multi-night combined master.
+function ledgerAddCombined(objectDir, frames, master) {
+    var ledger = readLedger(objectDir);
+    ledger.combined = { master: master, frames: frames, updated: (new Date()).toISOString() };
+    writeLedger(objectDir, ledger);
+}
+
+// INTEGRATION_GOAL_HOURS for an object: its pipeline.json, else the global
+// setting. An invalid pipeline.json falls back to the global setting.
+function objectGoalHours(objectFolder) {
+    var goal = g_baseConfig ? g_baseConfig.values.INTEGRATION_GOAL_HOURS : INTEGRATION_GOAL_HOURS;
+    try {
+        var cfg = readConfigFile(NAS_PROCESSED_ROOT + "/" + objectFolder + "/pipeline.json", "object");
+        if (cfg !== null && cfg.hasOwnProperty("INTEGRATION_GOAL_HOURS")) goal = cfg.INTEGRATION_GOAL_HOURS;
+    } catch (e) {}
+    return goal;
+}
+
+// Roll-up of every object's ledger → console + Processed/_integration_ledger.md.
+function writeLedgerReport() {
+    var objects = [];
+    var ff = new FileFind;
+    if (ff.begin(NAS_PROCESSED_ROOT + "/*")) {
+        do {
+            if (ff.isDirectory && ff.name !== "." && ff.name !== ".." &&
+                fileExists(NAS_PROCESSED_ROOT + "/" + ff.name + "/" + LEDGER_FILE))
+                objects.push(ff.name);
+        } while (ff.next());
+        ff.end();
+    }
+    if (objects.length === 0) return;
+    objects.sort();
+
+    var md = ["# Integration ledger", "", "- Generated: " + (new Date()).toISOString(), "",
+              "| Object | Nights | Frames | Integration | Goal | Progress | Filters | Latest master |",
+              "|---|---|---|---|---|---|---|---|"];
+    Console.writeln("\n" + "=".repeat(40));
+    Console.writeln("INTEGRATION LEDGER");
+    Console.writeln("=".repeat(40));
+    for (var i = 0; i < objects.length; i++) {
+        var ledger = readLedger(NAS_PROCESSED_ROOT + "/" + objects[i]);
+        var t = ledgerTotals(ledger);
+        var goal = objectGoalHours(objects[i]);
+        var progress = goal > 0 ? Math.round(100 * t.seconds / 3600 / goal) + "%" : "";
+        var filters = Object.keys(t.filters).sort().map(function(f){
+            return f + " " + formatDuration(t.filters[f].seconds) + " (" + t.filters[f].frames + ")";
+        }).join(", ");
+        var master = (ledger.combined && ledger.combined.master) || t.latestMaster || "";
+        Console.writeln("  " + (objects[i] + "                    ").substring(0, 20) + " " +
+                        formatDuration(t.seconds) + " in " + t.frames + " frames, " + t.nights + " night(s)" +
+                        (goal > 0 ? " \u2014 " + progress + " of " + goal + "h" : "") +
+                        (filters ? "  [" + filters + "]" : ""));
+        md.push("| " + [objects[i], t.nights, t.frames, formatDuration(t.seconds),
+                        goal > 0 ? goal + "h" : "", progress, filters.replace(/\|/g, "\\|"),
+                        master ? "`" + master + "`" : ""].join(" | ") + " |");
+    }
+
+    var reportFile = NAS_PROCESSED_ROOT + "/_integration_ledger.md";
+    try {
+        File.writeTextFile(reportFile, md.join("\n") + "\n");
+        Console.writeln("Integration ledger: " + reportFile);
+    } catch (e) {
+        Console.criticalln("Cannot write integration ledger " + reportFile + ": " + e.message);
+    }
+}
+
+// ── Session processor ────────────────────────────────────────
+// processedBase: optional override for the processed output root path.
+//   Non-mosaic: NAS_PROCESSED_ROOT/<objectName>/<dateStr>
+//   Mosaic panel: NAS_PROCESSED_ROOT/<friendlyBase>/<dateStr>/<panelName>
+function processSession(objectName, dateStr, sourceDir, processedBase) {
+    // Skip sessions that completed on a previous run.
+    // To force a re-run, delete _processed.txt from the RAW session folder
+    // or run with --force (ignores it for the selected sessions only).
+    // The sentinel is only trusted when the session manifest agrees.
+    var sentinelFile = sourceDir + "/_processed.txt";
+    if (g_runOptions.dryRun) {
+        planSession(objectName, dateStr, sourceDir, processedBase);
+        return null;
+    }
+    var sessionStart = Date.now();
+    var base = processedBase || (NAS_PROCESSED_ROOT + "/" + friendlyName(objectName) + "/" + dateStr);
+    var done = sessionCompleted(sourceDir, base);
+    if (done.complete && !g_runOptions.force) {
+        Console.writeln("  Skipping [" + objectName + " / " + dateStr +
+                        "] — already processed. Delete _processed.txt to re-run.");
+        recordResult("session", objectName, dateStr, "skipped", null, "already processed");
+        return null;
+    }
+    if (done.note)
+        Console.writeln("  [" + objectName + " / " + dateStr + "] _processed.txt present but " +
+                        done.note + " \u2014 re-running.");
+    if (!objectConfigOk(friendlyName(objectBaseName(objectName)))) {
+        recordResult("session", objectName, dateStr, "failed", null, "invalid pipeline.json");
+        return null;
+    }
+    if (!sessionConfigOk(base)) {
+        recordResult("session", objectName, dateStr, "failed", null, "invalid session pipeline.json");
+        return null;
+    }
+
+    Console.writeln("\n" + "=".repeat(40));
+    Console.writeln("Object : " + objectName);
+    Console.writeln("Date   : " + dateStr);
+    Console.writeln("Source : " + sourceDir);
+    Console.writeln("=".repeat(40));
+
+    var fitFiles = lightFilesIn(sourceDir);
+    if (fitFiles.length === 0) {
+        log("  WARNING: No Light_*.fit/.fits files found in " + sourceDir);
+        recordResult("session", objectName, dateStr, "skipped", null, "no light frames");
+        return null;
+    }
+    log("Found " + fitFiles.length + " light frames.");
+
+    // Characterise lights from their FITS headers and group them by
+    // filter — each filter with its own flats and its own stack — and
+    // within a filter by exposure, each group calibrated with its own
+    // master dark. Mono sessions always stack per filter.
+    var lights       = characteriseLights(fitFiles);
+    var filterGroups = groupLightsByFilter(lights);
+    var expGroups    = exposureGroupsOf(filterGroups);
+    var multiFilter  = filterGroups.length > 1;
+    var mono         = monoLights(lights);
+    var perFilter    = multiFilter || mono;
+    var sensor       = mono ? "mono" : "CFA";
+    var lightChars   = expGroups[0].chars;
+
+    var debayeredDir  = base + "/debayered";
+    var calibratedDir = base + "/calibrated";
+    var registeredDir = base + "/registered";
+    var masterDir     = base + "/master";
+    var logsDir       = base + "/logs";
+
+    if (!mono) ensureDir(debayeredDir);
+    ensureDir(calibratedDir);
+    ensureDir(registeredDir);
+    ensureDir(masterDir);
+    ensureDir(logsDir);
+    logOpen(logsDir);
+    logConfig();
+    var manifest = loadStepManifest(logsDir);
+    if (FORCE_FROM_STEP > 0)
+        log("FORCE_FROM_STEP = " + FORCE_FROM_STEP + " — steps " + FORCE_FROM_STEP + "-9 will re-run.");
+
+    var sessionManifest = {
+        version:  SESSION_MANIFEST_VERSION,
+        object:   objectName,
+        date:     dateStr,
+        source:   sourceDir,
+        output:   base,
+        log:      g_logPath,
+        started:  (new Date()).toISOString(),
+        finished: null,
+        status:   "running",
+        error:    null,
+        config:   snapshotConfig(),
+        camera:   mono ? "mono" : "osc",
+        lights:   lights.map(function(l){ return { file: l.file, exposure: l.exposure, header: l.chars }; }),
+        groups:   [],
+        masters:  { darks: [], flats: [], flat: null, bias: null, darkFlat: null },
+        steps:    [],
+        counts:   { lights: fitFiles.length },
+        rejected: [],
+        dropped:  [],
+        reference: null,
+        integration: null,
+        outputs:  null,
+        cosmetic: {},
+        contactSheet: null
+    };
+    var stepStart;
+
+    // ── Calibration frame discovery ───────────────────────────────────
+    var calib = discoverCalibration(filterGroups, dateStr);
+    var biasResult     = calib.biasResult;
+    var biasRawFiles   = calib.biasRawFiles;
+    var calibWarnings  = calib.warnings;
+    var calibErrors    = calib.errors;
+    for (var i = 0; i < calibWarnings.length; i++)
+        log("  WARNING: calibration mismatch \u2014 " + calibWarnings[i]);
+
+    var finalOutput = null, stacks = [];
+    try {
+        if (calibErrors.length > 0)
+            throw new Error("calibration frames do not match the lights \u2014 " + calibErrors.join("; "));
+
+        // Purge any non-Light_ files left behind by earlier runs of the old script.
+        var staleCount = removeNonLightFiles(calibratedDir) + removeNonLightFiles(debayeredDir) + removeNonLightFiles(registeredDir);
+        if (staleCount > 0)
+            log("  Removed " + staleCount + " stale non-Light_ file(s) from previous run.");
+
+        // ── Steps 1-2: Build calibration masters ─────────────
+        // One master dark per exposure group.
+        stepStart = Date.now();
+        if (mono)
+            log("\nMono camera (" + (CAMERA_TYPE === "mono" ? "CAMERA_TYPE = \"mono\"" : "no BAYERPAT in the lights") +
+                ") \u2014 calibrated without CFA handling, not debayered; every filter is stacked on its own.");
+        if (multiFilter)
+            log("\nMixed filters: " + filterGroups.map(function(fg){
+                return fg.lights.length + " \u00d7 " + (fg.filter || NO_FILTER); }).join(", ") +
+                " \u2014 each filter is calibrated with its own flats and stacked separately.");
+        if (expGroups.length > 1)
+            log("\nMixed exposures: " + expGroups.map(function(g){
+                return g.files.length + " \u00d7 " + g.label; }).join(", "));
+        for (var gi = 0; gi < expGroups.length; gi++) {
+            var group = expGroups[gi];
+            var dr = group.darkResult;
+            if (dr) {
+                var darkCacheKey = dr.dir;
+                var darkOut = masterDarkPath(dr, group.exposure);
+                if (g_masterDarkCache.hasOwnProperty(darkCacheKey)) {
+                    group.masterDark = g_masterDarkCache[darkCacheKey];
+                    log("\n[1/9] Master dark reused from this run: " + group.masterDark);
+                } else if (fileExists(darkOut) && !stepForced(1)) {
+                    group.masterDark = darkOut;
+                    g_masterDarkCache[darkCacheKey] = group.masterDark;
+                    log("\n[1/9] Master dark already exists, skipping rebuild: " + darkOut);
+                    registerLibraryDark(group.masterDark, dr.date, dr.files);
+                } else {
+                    log("\n[1/9] Building master dark (" + dr.files.length + " \u00d7 " + group.exposure + "s)...");
+                    group.masterDark = buildMasterDark(dr.files, darkOut, mono);
+                    closeAllWindows();
+                    g_masterDarkCache[darkCacheKey] = group.masterDark;
+                    log("  Master dark: " + darkOut);
+                    registerLibraryDark(group.masterDark, dr.date, dr.files);
+                }
+                group.darkStatus = "\u2713 USED \u2014 " + dr.files.length + " \u00d7 " + group.exposure + "s frames";
+            } else if (group.libraryDark) {
+                group.masterDark = group.libraryDark.entry.path;
+                log("\n[1/9] Master dark from library: " + group.masterDark);
+                log("  " + group.darkStatus);
+            } else {
+                log("\n[1/9] Master dark SKIPPED (" + group.label + " group) \u2014 " + group.darkStatus);
+            }
+        }
+        timeStep(sessionManifest.steps, 1, "Master dark", stepStart);
+        stepStart = Date.now();
+
+        // Master bias — used for flats without dark-flats, and for lights
+        // per CALIB_BIAS_FOR_LIGHTS
+        var masterBiasFile = null;
+        var biasStatus;
+        if (biasRawFiles.length > 0) {
+            log("\n[2/9] Master bias...");
+            masterBiasFile = prepareCalibMaster(biasRawFiles, masterBiasPath(biasResult), "bias", mono);
+            biasStatus = "\u2713 USED \u2014 " + biasRawFiles.length + " frames [" +
+                (biasResult.dayOffset === 0 ? "same date" : (biasResult.dayOffset > 0 ? "+" : "") +
+                 biasResult.dayOffset + " day(s) (" + biasResult.date + ")") + "] from " + biasResult.dir;
+        } else {
+            biasStatus = "\u2717 NOT USED \u2014 no bias frames within \u00b1" +
+                         CALIB_DATE_TOLERANCE_DAYS + " day(s) of " + dateStr;
+        }
+
+        // One master flat per filter
+        for (var fi = 0; fi < filterGroups.length; fi++) {
+            var fg = filterGroups[fi];
+            var flatLabel = multiFilter ? " \u2014 " + (fg.filter || NO_FILTER) : "";
+            var flatRawFiles = fg.flatRawFiles, darkFlatResult = fg.darkFlatResult, flatChars = fg.flatChars;
+            var masterFlatFile = null;
+
+            // Flat pre-calibration: exposure-matched dark-flat, else bias
+            var flatCalib = { darkFlat: null, bias: masterBiasFile };
+            var flatCalibStatus;
+            if (flatRawFiles.length === 0) {
+                flatCalibStatus = "n/a \u2014 no flats";
+            } else if (darkFlatResult) {
+                var dfExp = exposureLabel(darkFlatResult.chars.exposure);
+                log("\n[2/9] Master dark-flat (" + dfExp + "s" + flatLabel + ")...");
+                flatCalib.darkFlat = prepareCalibMaster(darkFlatResult.files,
+                    masterDarkFlatPath(darkFlatResult), "dark-flat", mono);
+                flatCalibStatus = "dark-flat " + dfExp + "s (" + darkFlatResult.files.length +
+                                  " frames) from " + darkFlatResult.dir;
+            } else if (masterBiasFile !== null) {
+                flatCalibStatus = "master bias (no dark-flats matching " +
+                                  (flatChars.exposure !== null ? flatChars.exposure + "s" : "the flat exposure") + ")";
+            } else {
+                flatCalibStatus = "none \u2014 no dark-flats or bias found";
+            }
+
+            if (flatRawFiles.length > 0) {
+                var flatOut = masterFlatPath(fg.flatResult);
+                var flatCacheKey = flatOut;
+                if (g_masterFlatCache.hasOwnProperty(flatCacheKey)) {
+                    masterFlatFile = g_masterFlatCache[flatCacheKey];
+                    log("\n[2/9] Master flat reused from this run" + flatLabel + ": " + masterFlatFile);
+                } else if (fileExists(flatOut) && !stepForced(2)) {
+                    // Validate it's a CFA (1-channel) master, not an old RGB one
+                    var flatWins = ImageWindow.open(flatOut);
+                    var flatChannels = (flatWins && flatWins.length > 0 && !flatWins[0].isNull)
+                        ? flatWins[0].mainView.image.numberOfChannels : 0;
+                    if (flatWins && flatWins.length > 0 && !flatWins[0].isNull) flatWins[0].close();
+                    if (flatChannels === 3) {
+                        log("\n[2/9] Existing master flat is RGB (old format) — deleting and rebuilding as " + sensor + "...");
+                        File.remove(flatOut);
+                        masterFlatFile = buildMasterFlat(flatRawFiles, flatCalib, flatOut, mono);
+                        closeAllWindows();
+                        g_masterFlatCache[flatCacheKey] = masterFlatFile;
+                        log("  Master flat (" + sensor + "): " + flatOut);
+                    } else {
+                        masterFlatFile = flatOut;
+                        g_masterFlatCache[flatCacheKey] = masterFlatFile;
+                        log("\n[2/9] Master flat already exists, skipping rebuild: " + flatOut);
+                        flatCalibStatus = "existing master reused (delete it to rebuild with " + flatCalibStatus + ")";
+                    }
+                } else {
+                    log("\n[2/9] Building master flat (" + flatRawFiles.length + " raw " + sensor + " frames" + flatLabel + ")...");
+                    masterFlatFile = buildMasterFlat(flatRawFiles, flatCalib, flatOut, mono);
+                    closeAllWindows();
+                    g_masterFlatCache[flatCacheKey] = masterFlatFile;
+                    log("  Master flat (" + sensor + "): " + flatOut);
+                }
+                fg.flatStatus = "\u2713 USED \u2014 " + flatRawFiles.length + " frames (" + sensor + " master)" +
+                                (multiFilter ? " from " + fg.flatResult.dir : "");
+            } else {
+                log("\n[2/9] Master flat SKIPPED" + flatLabel + " \u2014 " + fg.flatStatus);
+            }
+            fg.masterFlat      = masterFlatFile;
+            fg.flatCalib       = flatCalib;
+            fg.flatCalibStatus = flatCalibStatus;
+            for (var gi = 0; gi < fg.expGroups.length; gi++)
+                fg.expGroups[gi].masterFlat = masterFlatFile;
+        }
+
+        timeStep(sessionManifest.steps, 2, "Master flat/bias", stepStart);
+
+        // ── Step 3: ImageCalibration on raw CFA lights ────────
+        // Each exposure group with its own dark and the shared flat (and
+        // the bias per CALIB_BIAS_FOR_LIGHTS). A group with none of them
+        // goes on uncalibrated.
+        stepStart = Date.now();
+        var filesToDebayer = [], nCalibrated = 0;
+        for (var gi = 0; gi < expGroups.length; gi++) {
+            var group = expGroups[gi];
+            var groupLabel = expGroups.length > 1 ? " \u2014 " + group.label + " group" : "";
+            group.masterBias = (masterBiasFile !== null &&
+                (CALIB_BIAS_FOR_LIGHTS === "always" ||
+                 (CALIB_BIAS_FOR_LIGHTS === "no-dark" && group.masterDark === null))) ? masterBiasFile : null;
+            if (group.masterDark !== null || group.masterFlat !== null || group.masterBias !== null) {
+                var icInputs = group.files.concat([group.masterDark || "", group.masterFlat || "",
+                                                   group.masterBias || ""]);
+                var icKey = "calibrate:" + group.key;
+                var icDone = stepUpToDate(manifest, icKey, 3, icInputs);
+                var groupCalib, groupStart = Date.now();
+                if (icDone) {
+                    logStepSkipped("[3/9] ImageCalibration" + groupLabel, icDone);
+                    groupCalib = icDone.outputs;
+                } else {
+                    log("\n[3/9] ImageCalibration (raw " + sensor + " lights" + groupLabel + ")...");
+                    groupCalib = runImageCalibration(group.files, calibratedDir, group.masterDark,
+                                                     group.masterFlat, group.masterBias, mono);
+                    closeAllWindows();
+                    recordStep(manifest, icKey, 3, icInputs, groupCalib);
+                }
+                timeStep(sessionManifest.steps, 3, "ImageCalibration " + group.label, groupStart, icDone);
+                sessionManifest.dropped = sessionManifest.dropped.concat(droppedFrames(group.files, groupCalib)
+                    .map(function(f){ return { frame: f, step: "ImageCalibration" }; }));
+                var groupFiles = groupCalib;
+                nCalibrated += groupCalib.length;
+                group.calibrated = true;
+            } else {
+                log("\n[3/9] ImageCalibration SKIPPED" + groupLabel + " \u2014 no calibration masters available.");
+                log("  WARNING: Proceeding with " + group.files.length + " uncalibrated light frames.");
+                var groupFiles = group.files;
+                group.calibrated = false;
+            }
+
+            // Hot/cold pixels and defects, still on the CFA data
+            if (COSMETIC_ENABLED && groupFiles.length > 0) {
+                var ccKey    = "cosmetic:" + group.key;
+                var ccInputs = groupFiles.concat([group.masterDark || ""]);
+                var ccParams = JSON.stringify({ mode: COSMETIC_MODE, hot: COSMETIC_HOT_SIGMA, cold: COSMETIC_COLD_SIGMA,
+                                                defects: COSMETIC_DEFECT_LISTS[group.chars.camera] || [] });
+                var ccDone = stepUpToDate(manifest, ccKey, 3, ccInputs, ccParams);
+                var cc, ccStart = Date.now();
+                if (ccDone) {
+                    logStepSkipped("[3/9] CosmeticCorrection" + groupLabel, ccDone);
+                    cc = ccDone.data;
+                } else {
+                    log("\n[3/9] CosmeticCorrection (" + sensor + groupLabel + ")...");
+                    cc = runCosmeticCorrection(groupFiles, calibratedDir, group.masterDark, group.chars.camera, mono);
+                    closeAllWindows();
+                    recordStep(manifest, ccKey, 3, ccInputs, cc.files, ccParams, cc);
+                }
+                timeStep(sessionManifest.steps, 3, "CosmeticCorrection " + group.label, ccStart, ccDone);
+                sessionManifest.dropped = sessionManifest.dropped.concat(droppedFrames(groupFiles, cc.files)
+                    .map(function(f){ return { frame: f, step: "CosmeticCorrection" }; }));
+                for (var name in cc.corrected) sessionManifest.cosmetic[name] = cc.corrected[name];
+                groupFiles = cc.files;
+            }
+            filesToDebayer = filesToDebayer.concat(groupFiles);
+        }
+
+        // ── Step 4: Debayer (calibrated CFA or raw if no calibration) ─
+        // Mono subs go on to grading and registration as they are.
+        stepStart = Date.now();
+        var dbFiles;
+        var dbDone = mono ? null : stepUpToDate(manifest, "debayer", 4, filesToDebayer, "pattern=" + BAYER_PATTERN);
+        if (mono) {
+            log("\n[4/9] Debayer SKIPPED \u2014 mono camera.");
+            dbFiles = filesToDebayer;
+        } else if (dbDone) {
+            logStepSkipped("[4/9] Debayer", dbDone);
+            dbFiles = dbDone.outputs;
+        } else {
+            log("\n[4/9] Debayer " + nCalibrated + " calibrated CFA + " + (filesToDebayer.length - nCalibrated) +
+                " raw lights (RGGB/VNG)...");
+            dbFiles = runDebayer(filesToDebayer, debayeredDir);
+            closeAllWindows();
+            recordStep(manifest, "debayer", 4, filesToDebayer, dbFiles, "pattern=" + BAYER_PATTERN);
+        }
+        timeStep(sessionManifest.steps, 4, "Debayer", stepStart, mono || dbDone);
+        sessionManifest.dropped = sessionManifest.dropped.concat(droppedFrames(filesToDebayer, dbFiles)
+            .map(function(f){ return { frame: f, step: "Debayer" }; }));
+        if (expGroups.length > 1)
+            log("  Mixed exposures are integrated together; ImageIntegration weights each frame " +
+                "by PSF signal, so longer subs carry proportionally more weight.");
+
+        // ── Step 5: Subframe grading ──────────────────────────
+        // Rejected frames never reach StarAlignment, so they are also
+        // absent from integration and drizzle.
+        stepStart = Date.now();
+        var gradeResult = null, gradeDone = null;
+        var filesToRegister = dbFiles;
+        if (GRADING_ENABLED) {
+            var gradeParams = JSON.stringify([GRADING_MODE, GRADING_SIGMA, GRADING_MAX_FWHM,
+                GRADING_MAX_ECCENTRICITY, GRADING_MIN_STARS, GRADING_MIN_PSF_SIGNAL,
+                GRADING_MAX_NOISE, GRADING_MIN_ACCEPTED]);
+            gradeDone = stepUpToDate(manifest, "grading", 5, dbFiles, gradeParams);
+            if (gradeDone) {
+                logStepSkipped("[5/9] Subframe grading", gradeDone);
+                gradeResult = gradeDone.data;
+            } else {
+                log("\n[5/9] Subframe grading (" + GRADING_MODE + ")...");
+                // Grade each filter and exposure group against its own
+                // statistics, so short or narrowband subs are not rejected
+                // just for having fewer stars.
+                var groupOfLight = {};
+                for (var gi = 0; gi < expGroups.length; gi++)
+                    for (var i = 0; i < expGroups[gi].files.length; i++)
+                        groupOfLight[lightBaseName(expGroups[gi].files[i])] = expGroups[gi].label;
+                var gradeGroups = dbFiles.map(function(f){ return groupOfLight[lightBaseName(f)] || "?"; });
+                gradeResult = gradeSubframes(dbFiles, logsDir, gradeGroups);
+                closeAllWindows();
+                recordStep(manifest, "grading", 5, dbFiles,
+                           [logsDir + "/grading.csv", logsDir + "/grading.json"], gradeParams, gradeResult);
+            }
+            filesToRegister = gradeResult.accepted;
+            if (filesToRegister.length === 0)
+                throw new Error("No frames left after subframe grading.");
+        } else {
+            log("\n[5/9] Subframe grading SKIPPED \u2014 GRADING_ENABLED = false.");
+        }
+
+        // ── Steps 6-9: register, normalize, integrate, drizzle ─
+        // Once per filter. With mixed filters (and always for mono) each
+        // one stacks into registered/<filter>/ and master/<filter>/, with
+        // its own step manifest (logs/steps_<filter>.json). Mono filters
+        // all register to one common reference so the channels align.
+        var refCandidates = (gradeResult !== null)
+            ? gradeResult.records.filter(function(r){ return r.accepted; }) : null;
+        timeStep(sessionManifest.steps, 5, "Subframe grading", stepStart, gradeResult === null || gradeDone);
+        if (gradeResult !== null)
+            sessionManifest.rejected = gradeResult.rejected.map(function(r){
+                return { frame: lightBaseName(r.file), reasons: r.reasons }; });
+        var commonRef = null, drizzleMode = mono ? "rgb" : DRIZZLE_MODE;
+        if (mono && DRIZZLE_MODE === "cfa")
+            log("\n  DRIZZLE_MODE = \"cfa\" does not apply to mono frames \u2014 drizzling the calibrated subs.");
+        if (mono && multiFilter) {
+            log("\nCommon registration reference for " + filterGroups.length + " filters...");
+            commonRef = commonReference(refCandidates, filesToRegister);
+        }
+        for (var fi = 0; fi < filterGroups.length; fi++) {
+            var fg = filterGroups[fi], inFilter = {};
+            for (var i = 0; i < fg.lights.length; i++) inFilter[lightBaseName(fg.lights[i].file)] = true;
+            var ofFilter = function(f) { return inFilter[lightBaseName(f)] === true; };
+            var entry = { filter: fg.filter, lights: fg.lights, files: filesToRegister.filter(ofFilter),
+                          registeredDir: registeredDir, masterDir: masterDir, manifest: manifest };
+            if (perFilter) {
+                entry.registeredDir = registeredDir + "/" + filterDirName(fg.filter);
+                entry.masterDir     = masterDir + "/" + filterDirName(fg.filter);
+                entry.manifest      = loadStepManifest(logsDir, "steps_" + filterDirName(fg.filter));
+                log("\n\u2500\u2500 Filter: " + (fg.filter || NO_FILTER) + " (" + entry.files.length + " subs) \u2500\u2500");
+                if (entry.files.length === 0) {
+                    log("  WARNING: no frames of this filter left to stack.");
+                    continue;
+                }
+                ensureDir(entry.registeredDir);
+                ensureDir(entry.masterDir);
+            }
+            entry.drizzleOut = perFilter ? drizzleOutputPath(entry.masterDir, objectName, dateStr, fg.filter, drizzleMode)
+                                         : drizzleOutputPath(masterDir, objectName, dateStr);
+            entry.stack = stackFrames(entry.files, refCandidates ? refCandidates.filter(function(r){
+                              return ofFilter(r.file); }) : null,
+                          entry.registeredDir, entry.masterDir, entry.drizzleOut, 6, 9, entry.manifest,
+                          drizzleMode, commonRef);
+            sessionManifest.steps = sessionManifest.steps.concat(!perFilter ? entry.stack.timings :
+                entry.stack.timings.map(function(t){
+                    return { step: t.step, name: (fg.filter || NO_FILTER) + " " + t.name,
+                             seconds: t.seconds, skipped: t.skipped }; }));
+            sessionManifest.dropped = sessionManifest.dropped.concat(droppedFrames(entry.files, entry.stack.registered)
+                .map(function(f){ return { frame: f, step: "StarAlignment" }; }));
+
+            // ── Dual-narrowband channels, on top of the RGB stack ─
+            // A failure is reported; the RGB result stands.
+            entry.narrowband = null;
+            if (!mono && narrowbandWanted(entry.lights)) {
+                try {
+                    entry.narrowband = stackNarrowband(
+                        narrowbandSources(filesToDebayer, entry.files,
+                                          entry.stack.saRef ? entry.stack.saRef.file : entry.files[0]),
+                        base + "/narrowband" + (multiFilter ? "/" + filterDirName(fg.filter) : ""),
+                        entry.masterDir, objectName, dateStr, entry.manifest);
+                    sessionManifest.steps = sessionManifest.steps.concat(entry.narrowband.timings);
+                } catch (e) {
+                    log("  WARNING: narrowband stacks not made \u2014 " + e.message);
+                    entry.narrowband = { error: e.message };
+                }
+                closeAllWindows();
+            }
+            stacks.push(entry);
+        }
+        if (stacks.length === 0)
+            throw new Error("No frames left to stack.");
+
+        // ── Mono: one crop for all filters, one channel master each ─
+        if (mono) {
+            var cropped = stacks.filter(function(entry){ return entry.stack.crop !== null; });
+            if (cropped.length > 1) {
+                var alignStart = Date.now(), alignInputs = [], alignOutputs = [];
+                for (var si = 0; si < cropped.length; si++) {
+                    var crop = cropped[si].stack.crop;
+                    alignInputs.push(cropped[si].masterDir + "/integration.xisf");
+                    alignOutputs.push(crop.integration);
+                    if (crop.drizzle) {
+                        alignInputs.push(cropped[si].drizzleOut);
+                        alignOutputs.push(crop.drizzle);
+                    }
+                }
+                var alignParams = "coverage=" + AUTOCROP_MIN_COVERAGE + ", scale=" + DRIZZLE_SCALE;
+                var alignDone = stepUpToDate(manifest, "crop:common", 9, alignInputs, alignParams);
+                if (alignDone) {
+                    logStepSkipped("[9/9] Common crop", alignDone);
+                    for (var si = 0; si < cropped.length; si++) cropped[si].stack.crop.rect = alignDone.data;
+                } else {
+                    log("\n[9/9] Common crop for " + cropped.length + " filters...");
+                    try {
+                        var rect = runCommonCrop(cropped);
+                        recordStep(manifest, "crop:common", 9, alignInputs, alignOutputs, alignParams, rect);
+                    } catch (e) {
+                        log("  WARNING: common crop skipped \u2014 " + e.message +
+                            "; the cropped masters may not align, the uncropped ones do.");
+                    }
+                    closeAllWindows();
+                }
+                timeStep(sessionManifest.steps, 9, "Common crop", alignStart, alignDone);
+            }
+            for (var si = 0; si < stacks.length; si++) {
+                var entry = stacks[si];
+                entry.channelMaster = channelMasterPath(masterDir, entry.filter, objectName, dateStr);
+                copyIfNewer(entry.stack.finalOutput, entry.channelMaster);
+                log("  " + (entry.filter || NO_FILTER) + " master: " + entry.channelMaster);
+            }
+        }
+
+        // The largest filter's stack is the session's result.
+        var stack = stacks[0].stack;
+        finalOutput = stack.finalOutput;
+        var registered = [], normalized = 0, drizzled = 0;
+        for (var si = 0; si < stacks.length; si++) {
+            registered  = registered.concat(stacks[si].stack.registered);
+            normalized += stacks[si].stack.normalized.length;
+            drizzled   += stacks[si].stack.drizzle.filter(function(f){ return f !== ""; }).length;
+        }
+
+        log("\n\u2713 Complete [" + objectName + " / " + dateStr + "]");
+        if (!processedBase)
+            g_projectCandidates[NAS_PROCESSED_ROOT + "/" + friendlyName(objectName)] = true;
+
+        // ── Calibration summary ───────────────────────────────
+        log("\n" + "-".repeat(40));
+        log("CALIBRATION SUMMARY");
+        log("-".repeat(40));
+        log("  Light frames : " + fitFiles.length + " (" + expGroups.map(function(g){
+                return (expGroups.length > 1 ? g.files.length + " \u00d7 " : "") + g.label;
+            }).join(", ") + (lightChars ? "; " + describeCharacteristics(lightChars) : "") + ")");
+        for (var gi = 0; gi < expGroups.length; gi++) {
+            var group = expGroups[gi];
+            log("  " + summaryLabel("Darks " + group.label) + ": " + group.darkStatus);
+            if (!group.calibrated)
+                log("  \u26a0 WARNING: " + group.label + " group ran uncalibrated.");
+        }
+        log("  Bias         : " + biasStatus);
+        for (var fi = 0; fi < filterGroups.length; fi++) {
+            var fg = filterGroups[fi], sfx = perFilter ? " " + (fg.filter || NO_FILTER) : "";
+            log("  " + summaryLabel("Flats" + sfx) + ": " + fg.flatStatus);
+            log("  " + summaryLabel("Flat calib." + sfx) + ": " + fg.flatCalibStatus);
+        }
+        for (var i = 0; i < calibWarnings.length; i++)
+            log("  \u26a0 Mismatch   : " + calibWarnings[i]);
+        log("  Grading      : " + gradingStatus(gradeResult));
+        if (mono)
+            log("  Camera       : mono \u2014 not debayered" +
+                (commonRef ? "; all filters registered to " + referenceStatus(commonRef) : ""));
+        for (var si = 0; si < stacks.length; si++) {
+            var entry = stacks[si], sfx = perFilter ? " " + (entry.filter || NO_FILTER) : "";
+            if (perFilter)
+                log("  " + summaryLabel("Master" + sfx) + ": " + (entry.channelMaster || entry.stack.finalOutput) +
+                    " (" + entry.stack.registered.length + " frames)");
+            log("  " + summaryLabel("Reg. ref." + sfx) + ": " + referenceStatus(entry.stack.saRef, entry.files[0]));
+            log("  " + summaryLabel("LN ref." + sfx) + ": " + referenceStatus(entry.stack.lnRef, entry.stack.registered[0]));
+            if (entry.stack.solve !== null)
+                log("  " + summaryLabel("Plate solve" + sfx) + ": " + solveStatus(entry.stack.solve));
+            if (entry.narrowband !== null)
+                log("  " + summaryLabel("Narrowband" + sfx) + ": " + narrowbandStatus(entry.narrowband));
+        }
+        if (nCalibrated === 0) {
+            log("  \u26a0 WARNING: No calibration applied \u2014 pipeline ran on uncalibrated lights.");
+        } else {
+            log("  Calibration  : APPLIED");
+        }
+        log("-".repeat(40));
+
+        // Write sentinel so subsequent runs skip this session automatically.
+        var sf = new File;
+        sf.createForWriting(sentinelFile);
+        sf.outTextLn("Processed: " + (new Date()).toISOString());
+        for (var gi = 0; gi < expGroups.length; gi++)
+            sf.outTextLn("Darks " + expGroups[gi].label + ": " + expGroups[gi].darkStatus);
+        sf.outTextLn("Bias: " + biasStatus);
+        for (var fi = 0; fi < filterGroups.length; fi++) {
+            var fg = filterGroups[fi], sfx = perFilter ? " " + (fg.filter || NO_FILTER) : "";
+            sf.outTextLn("Flats" + sfx + ": " + fg.flatStatus);
+            sf.outTextLn("Flat calibration" + sfx + ": " + fg.flatCalibStatus);
+        }
+        sf.outTextLn("Grading: " + gradingStatus(gradeResult));
+        if (mono)
+            sf.outTextLn("Camera: mono" + (commonRef ? ", common registration reference " + referenceStatus(commonRef) : ""));
+        for (var si = 0; si < stacks.length; si++) {
+            var entry = stacks[si], sfx = perFilter ? " " + (entry.filter || NO_FILTER) : "";
+            if (perFilter)
+                sf.outTextLn("Master" + sfx + ": " + (entry.channelMaster || entry.stack.finalOutput));
+            sf.outTextLn("Registration reference" + sfx + ": " + referenceStatus(entry.stack.saRef, entry.files[0]));
+            sf.outTextLn("LocalNormalization reference" + sfx + ": " +
+                         referenceStatus(entry.stack.lnRef, entry.stack.registered[0]));
+            if (entry.stack.solve !== null)
+                sf.outTextLn("Plate solve" + sfx + ": " + solveStatus(entry.stack.solve));
+            if (entry.narrowband !== null)
+                sf.outTextLn("Narrowband" + sfx + ": " + narrowbandStatus(entry.narrowband));
+        }
+        sf.outTextLn("Manifest: " + logsDir + "/session.json");
+        sf.close();
+        var result = recordResult("session", objectName, dateStr, "ok", finalOutput);
+        ledgerAddSession(base, dateStr, lights, registered, finalOutput);
+
+        sessionManifest.status = "complete";
+        sessionManifest.counts = {
+            lights:     fitFiles.length,
+            calibrated: nCalibrated,
+            debayered:  mono ? 0 : dbFiles.length,
+            accepted:   filesToRegister.length,
+            rejected:   gradeResult !== null ? gradeResult.rejected.length : 0,
+            registered: registered.length,
+            normalized: normalized,
+            drizzled:   drizzled
+        };
+        sessionManifest.reference = {
+            registration:  stack.saRef ? { file: stack.saRef.file, score: stack.saRef.score }
+                                       : { file: stacks[0].files[0], score: null },
+            normalization: stack.lnRef ? { file: stack.lnRef.file, score: stack.lnRef.score }
+                                       : { file: stack.registered[0], score: null }
+        };
+        sessionManifest.integration = integrationStats(stacks[0].masterDir + "/integration.xisf");
+        sessionManifest.integration.seconds = integrationSeconds(lights, registered);
+        var filterOutputs = stacks.map(function(entry){
+            return {
+                filter:      entry.filter,
+                frames:      entry.stack.registered.length,
+                integration: entry.masterDir + "/integration.xisf",
+                drizzle:     fileExists(entry.drizzleOut) ? entry.drizzleOut : null,
+                crop:        entry.stack.crop,
+                astrometry:  entry.stack.solve,
+                preview:     entry.stack.preview ? entry.stack.preview.file : null,
+                narrowband:  entry.narrowband,
+                channel:     entry.channelMaster || null,
+                final:       entry.stack.finalOutput
+            };
+        });
+        var narrowbandOutputs = stacks.filter(function(entry){ return entry.narrowband !== null; });
+        sessionManifest.outputs = {
+            integration: filterOutputs[0].integration,
+            drizzle:     filterOutputs[0].drizzle,
+            drizzleMode: drizzleMode,
+            crop:        stack.crop,
+            astrometry:  stack.solve,
+            preview:     filterOutputs[0].preview,
+            narrowband:  narrowbandOutputs.length > 0 ? narrowbandOutputs[0].narrowband : null,
+            final:       finalOutput,
+            filters:     filterOutputs,
+            grading:     gradeResult !== null ? logsDir + "/grading.json" : null
+        };
+
+    } catch (e) {
+        log("\n\u2717 ERROR [" + objectName + " / " + dateStr + "]: " + e.message);
+        closeAllWindows();
+        finalOutput = null;
+        var result = recordResult("session", objectName, dateStr, "failed", null, e.message);
+        sessionManifest.status = "failed";
+        sessionManifest.error  = e.message;
+    }
+
+    // Calibration as used (or as planned, when the run failed early)
+    for (var gi = 0; gi < expGroups.length; gi++) {
+        var group = expGroups[gi];
+        sessionManifest.groups.push({ filter: group.filter, exposure: group.exposure, frames: group.files.length,
+                                      darkStatus: group.darkStatus, calibrated: !!group.calibrated });
+        if (group.masterDark)
+            sessionManifest.masters.darks.push({ exposure: group.exposure,
+                                                 library: !group.darkResult && !!group.libraryDark,
+                                                 master: masterEntry(group.masterDark) });
+    }
+    sessionManifest.masters.flats = filterGroups.map(function(fg){
+        return { filter: fg.filter, flat: masterEntry(fg.masterFlat || null),
+                 darkFlat: masterEntry(fg.flatCalib ? fg.flatCalib.darkFlat : null) };
+    });
+    sessionManifest.masters.flat     = sessionManifest.masters.flats[0].flat;
+    sessionManifest.masters.bias     = masterEntry(masterBiasFile);
+    sessionManifest.masters.darkFlat = sessionManifest.masters.flats[0].darkFlat;
+    if (THUMBNAILS_ENABLED && dbFiles) {
+        try {
+            sessionManifest.contactSheet = writeContactSheet(logsDir, stacks.length > 0 ? stacks[0].masterDir : masterDir,
+                                                             sessionManifest, dbFiles,
+                                                             gradeResult ? gradeResult.records : null);
+        } catch (e) {
+            log("  WARNING: contact sheet not written \u2014 " + e.message);
+        }
+        closeAllWindows();
+    }
+    sessionManifest.finished = (new Date()).toISOString();
+    writeSessionManifest(logsDir, sessionManifest);
+    result.details = runDetails(sessionManifest, sessionStart);
+    logClose();
+    return finalOutput;  // null on error/skip, output path on success
+}
+
+// ── Multi-night project integration ──────────────────────────
+// Loads a session's logs/grading.json and indexes its frame records by
+// file name. Returns null when the session was not graded.
+function loadGradingRecords(logsDir) {
+    var reportFile = logsDir + "/grading.json";
+    if (!fileExists(reportFile)) return null;
+    var report;
+    try {
+        report = JSON.parse(File.readTextFile(reportFile));
+    } catch (e) {
+        log("  WARNING: cannot read " + reportFile + ": " + e.message);
+        return null;
+    }
+    var byName = {};
+    for (var i = 0; i < report.frames.length; i++)
+        byName[File.extractNameAndExtension(report.frames[i].file)] = report.frames[i];
+    return byName;
+}
+
+// Collects the debayered subs of every completed date under objectDir,
+// dropping frames the session's grading rejected. Nights whose session did
+// not complete (logs/session.json and the RAW folder's _processed.txt, see
+// sessionCompleted) are left out. Calibration is not redone — each night
+// keeps the darks/flats it was calibrated with. Subs are grouped by the
+// FILTER of their light in the night's logs/session.json.
+// Returns { files, nights: [{ date, frames, rejected }], filters: [{ filter,
+// files, records, nights: [date, ...] }] } with the largest filter first;
+// a filter's records are null unless every file has grading measurements.
+function collectProjectFrames(objectDir) {
+    var dates = [];
+    var ff = new FileFind;
+    if (ff.begin(objectDir + "/*")) {
+        do {
+            if (ff.isDirectory && /^\d{4}-\d{2}-\d{2}$/.test(ff.name))
+                dates.push(ff.name);
+        } while (ff.next());
+        ff.end();
+    }
+    dates.sort();
+
+    var files = [], nights = [], groups = [], byFilter = {};
+    for (var d = 0; d < dates.length; d++) {
+        var sessionDir = objectDir + "/" + dates[d];
+        var debayeredDir = sessionDir + "/debayered";
+        if (!File.directoryExists(debayeredDir)) {
+            log("  " + dates[d] + ": no debayered/ folder (mosaic, mono or unprocessed) \u2014 not included.");
+            continue;
+        }
+        var session = readSessionManifest(sessionDir);
+        if (session === null) {
+            log("  " + dates[d] + ": no readable logs/session.json \u2014 cannot tell whether it completed; " +
+                "not included (re-run the night to add it).");
+            continue;
+        }
+        var done = sessionCompleted(session.source, sessionDir);
+        if (!done.complete) {
+            log("  " + dates[d] + ": did not complete (" + (done.note || "no _processed.txt in " + session.source) +
+                ") \u2014 not included.");
+            continue;
+        }
+        var filterOf = {};
+        for (var i = 0; i < (session.lights || []).length; i++) {
+            var light = session.lights[i];
+            filterOf[lightBaseName(light.file)] = (light.header && light.header.filter) || null;
+        }
+        var graded = loadGradingRecords(sessionDir + "/logs");
+        var nFrames = 0, nRejected = 0;
+        var df = new FileFind;
+        if (df.begin(debayeredDir + "/Light_*_d.xisf")) {
+            do {
+                if (df.isDirectory) continue;
+                var rec = graded ? graded[df.name] : null;
+                if (rec && !rec.accepted) { nRejected++; continue; }
+                var path = debayeredDir + "/" + df.name;
+                var filter = filterOf[lightBaseName(df.name)] || null, key = filterDirName(filter);
+                if (!byFilter[key]) {
+                    byFilter[key] = { filter: filter, files: [], records: [], allGraded: true, nights: [] };
+                    groups.push(byFilter[key]);
+                }
+                var group = byFilter[key];
+                files.push(path);
+                group.files.push(path);
+                if (rec) {
+                    rec.file = path;
+                    group.records.push(rec);
+                } else {
+                    group.allGraded = false;
+                }
+                if (group.nights[group.nights.length - 1] !== dates[d]) group.nights.push(dates[d]);
+                nFrames++;
+            } while (df.next());
+            df.end();
+        }
+        if (nFrames === 0) {
+            log("  " + dates[d] + ": no debayered subs \u2014 not included.");
+            continue;
+        }
+        nights.push({ date: dates[d], frames: nFrames, rejected: nRejected });
+        log("  " + dates[d] + ": " + nFrames + " frames" +
+            (nRejected > 0 ? " (" + nRejected + " rejected by grading)" : ""));
+    }
+    groups.sort(function(a, b) { return b.files.length - a.files.length; });
+    return {
+        files:   files,
+        nights:  nights,
+        filters: groups.map(function(g) {
+            return { filter: g.filter, files: g.files, records: g.allGraded ? g.records : null, nights: g.nights };
+        })
+    };
+}
+
+// Registers, normalizes, integrates and drizzles every night of one object
+// together. objectDir: NAS_PROCESSED_ROOT/<Object>. With mixed filters each
+// filter stacks on its own into registered/<filter>/ and master/<filter>/,
+// with its own step manifest (logs/steps_<filter>.json); filters shot on
+// fewer than PROJECT_MIN_NIGHTS nights are left out.
+// Returns the combined master path (the largest filter's), or null on
+// error/too few nights.
+function processProject(objectDir) {
+    var objectName = objectDir.replace(/[\/\\]+$/, "").replace(/.*[\/\\]/, "");
+    var projectDir = objectDir + "/" + PROJECT_DIR_NAME;
+    var registeredDir = projectDir + "/registered";
+    var masterDir     = projectDir + "/master";
+    var logsDir       = projectDir + "/logs";
+    if (g_runOptions.dryRun) {
+        recordResult("project", objectName, PROJECT_DIR_NAME, "planned", null, "multi-night integration");
+        return null;
+    }
+    if (!objectConfigOk(objectName)) {
+        recordResult("project", objectName, PROJECT_DIR_NAME, "failed", null, "invalid pipeline.json");
+        return null;
+    }
+
+    Console.writeln("\n" + "=".repeat(40));
+    Console.writeln("Project: " + objectName + " (multi-night)");
+    Console.writeln("=".repeat(40));
+
+    ensureDir(registeredDir);
+    ensureDir(masterDir);
+    ensureDir(logsDir);
+    logOpen(logsDir);
+    logConfig();
+
+    var finalOutput = null, projectStart = Date.now(), result, frames = null;
+    try {
+        var project = collectProjectFrames(objectDir);
+        if (project.nights.length < PROJECT_MIN_NIGHTS) {
+            var tooFew = new Error("only " + project.nights.length + " processed night(s) \u2014 need " +
+                                   PROJECT_MIN_NIGHTS + " for a combined stack.");
+            tooFew.skipped = true;
+            throw tooFew;
+        }
+        var perFilter = project.filters.length > 1;
+        log("Combining " + project.files.length + " frames from " + project.nights.length + " nights" +
+            (perFilter ? ", stacked per filter (" + project.filters.map(function(fg){
+                return fg.files.length + " \u00d7 " + (fg.filter || NO_FILTER); }).join(", ") + ")" : "") + ".");
+
+        var stacks = [];
+        for (var fi = 0; fi < project.filters.length; fi++) {
+            var fg = project.filters[fi];
+            var entry = { filter: fg.filter, files: fg.files, nights: fg.nights,
+                          registeredDir: registeredDir, masterDir: masterDir };
+            if (perFilter) {
+                log("\n\u2500\u2500 Filter: " + (fg.filter || NO_FILTER) + " (" + fg.files.length + " subs, " +
+                    fg.nights.length + " nights) \u2500\u2500");
+                if (fg.nights.length < PROJECT_MIN_NIGHTS) {
+                    log("  Only " + fg.nights.length + " night(s) with this filter \u2014 need " +
+                        PROJECT_MIN_NIGHTS + "; not stacked.");
+                    continue;
+                }
+                entry.registeredDir = registeredDir + "/" + filterDirName(fg.filter);
+                entry.masterDir     = masterDir + "/" + filterDirName(fg.filter);
+                ensureDir(entry.registeredDir);
+                ensureDir(entry.masterDir);
+            }
+            entry.drizzleOut = entry.masterDir + "/drizzle_" + objectName.replace(/ /g, "_") + "_combined" +
+                               (perFilter ? "_" + filterDirName(fg.filter) : "") + drizzleModeSuffix() + ".xisf";
+            entry.stack = stackFrames(fg.files, fg.records, entry.registeredDir, entry.masterDir, entry.drizzleOut,
+                                      1, 4, loadStepManifest(logsDir, perFilter ? "steps_" + filterDirName(fg.filter)
+                                                                                : undefined));
+            stacks.push(entry);
+        }
+        if (stacks.length === 0) {
+            var noFilter = new Error("no filter was shot on " + PROJECT_MIN_NIGHTS +
+                                     " nights \u2014 nothing to combine.");
+            noFilter.skipped = true;
+            throw noFilter;
+        }
+        finalOutput = stacks[0].stack.finalOutput;
+
+        log("\n\u2713 Complete [" + objectName + " / combined]");
+        log("\n" + "-".repeat(40));
+        log("PROJECT SUMMARY");
+        log("-".repeat(40));
+        for (var i = 0; i < project.nights.length; i++) {
+            var n = project.nights[i];
+            log("  " + n.date + " : " + n.frames + " frames" +
+                (n.rejected > 0 ? ", " + n.rejected + " rejected" : ""));
+        }
+        var integrated = 0;
+        for (var si = 0; si < stacks.length; si++) {
+            var entry = stacks[si], stack = entry.stack, sfx = perFilter ? " " + (entry.filter || NO_FILTER) : "";
+            log("  " + summaryLabel("Registered" + sfx) + ": " + stack.registered.length + " of " + entry.files.length +
+                (perFilter ? " (" + entry.nights.length + " nights)" : ""));
+            log("  " + summaryLabel("Reg. ref." + sfx) + ": " + referenceStatus(stack.saRef, entry.files[0]));
+            log("  " + summaryLabel("LN ref." + sfx) + ": " + referenceStatus(stack.lnRef, stack.registered[0]));
+            if (stack.solve !== null)
+                log("  " + summaryLabel("Plate solve" + sfx) + ": " + solveStatus(stack.solve));
+            log("  " + summaryLabel("Output" + sfx) + ": " + stack.finalOutput);
+            integrated += stack.registered.length;
+        }
+        log("-".repeat(40));
+        frames = { lights: project.files.length, integrated: integrated };
+        ledgerAddCombined(objectDir, integrated, finalOutput);
+        result = recordResult("project", objectName, PROJECT_DIR_NAME, "ok", finalOutput,
+                              perFilter ? stacks.length + " filter(s)" : "");
+    } catch (e) {
+        log("\n\u2717 ERROR [" + objectName + " / combined]: " + e.message);
+        closeAllWindows();
+        finalOutput = null;
+        result = recordResult("project", objectName, PROJECT_DIR_NAME, e.skipped ? "skipped" : "failed",
+                              null, e.message);
+    }
+    result.details = { frames: frames, seconds: null, calibration: null, uncalibrated: [],
+                       elapsed: (Date.now() - projectStart) / 1000, log: g_logPath };
+    logClose();
+    return finalOutput;
+}
+
+// ── Mosaic assembly ──────────────────────────────────────────
+// Registers targetFile onto referenceFile with StarAlignment in
+// Register/Union – Mosaic mode. The output canvas covers both images;
+// frame adaptation scales the target to the reference background.
+// Returns the path of the joined image written to outputDir.
+function runMosaicAlignment(referenceFile, targetFile, outputDir, postfix) {
+    var SA = new StarAlignment;
+    SA.structureLayers              = 5;
+    SA.noiseLayers                  = 0;
+    SA.hotPixelFilterRadius         = 1;
+    SA.sensitivity                  = 0.10;
+    SA.peakResponse                 = 0.80;
+    SA.maxStarDistortion            = 0.60;
+    SA.allowClusteredSources        = true;
+    SA.distortionCorrection         = true;  // panel edges carry the most field distortion
+    SA.rbfType                      = StarAlignment.prototype.DDMThinPlateSpline;
+    SA.maxSplinePoints              = 4000;
+    SA.useTriangles                 = false;
+    SA.polygonSides                 = 5;
+    SA.descriptorsPerStar           = 20;
+    SA.intersection                 = StarAlignment.prototype.MosaicOnly;
+    SA.referenceImage               = referenceFile;
+    SA.referenceIsFile              = true;
+    SA.targets                      = [[true, true, targetFile]];
+    SA.inputHints                   = "fits-keywords normalize only-first-image";
+    SA.outputHints                  = "properties fits-keywords no-compress-data no-embedded-data no-resolution";
+    SA.mode                         = StarAlignment.prototype.RegisterUnion_Mosaic;
+    SA.frameAdaptation              = true;
+    SA.generateDrizzleData          = false;
+    SA.inheritAstrometricSolution   = true;
+    SA.pixelInterpolation           = StarAlignment.prototype.Auto;
+    SA.clampingThreshold            = 0.30;
+    SA.outputDirectory              = outputDir;
+    SA.outputExtension              = ".xisf";
+    SA.outputPrefix                 = "";
+    SA.outputPostfix                = postfix;
+    SA.outputSampleFormat           = StarAlignment.prototype.f32;
+    SA.overwriteExistingFiles       = true;
+    SA.onError                      = StarAlignment.prototype.Continue;
+
+    if (!SA.executeGlobal())
+        throw new Error("StarAlignment (mosaic) failed for " + File.extractName(targetFile));
+
+    var outFile = outputDir + "/" + File.extractName(targetFile) + postfix + ".xisf";
+    if (!fileExists(outFile))
+        throw new Error("Mosaic join produced no output for " + File.extractName(targetFile) +
+                        " \u2014 not enough overlap with the panels joined so far?");
+    return outFile;
+}
+
+// Parses "<row>-<col>" from a panel folder name. Returns { row, col } or null.
+function panelPosition(panelName) {
+    var m = MOSAIC_PANEL_RE.exec(panelName);
+    if (!m) return null;
+    var rc = m[2].split("-");
+    return { row: parseInt(rc[0], 10), col: parseInt(rc[1], 10) };
+}
+
+// A panel's masters, one per filter, from the outputs.filters of its
+// logs/session.json. Each prefers the drizzle stack and falls back to
+// integration.xisf. A session without a manifest has a single master in
+// master/ and no known filter. Returns [{ filter, file, integration,
+// drizzled }] — empty when the panel has no master.
+function findPanelMasters(processedBase, panelName, dateStr) {
+    var m = readSessionManifest(processedBase), found = [];
+    if (m !== null && m.outputs && m.outputs.filters) {
+        for (var i = 0; i < m.outputs.filters.length; i++) {
+            var out = m.outputs.filters[i];
+            if (out.drizzle && fileExists(out.drizzle))
+                found.push({ filter: out.filter, file: out.drizzle, integration: out.integration, drizzled: true });
+            else if (fileExists(out.integration))
+                found.push({ filter: out.filter, file: out.integration, integration: out.integration, drizzled: false });
+        }
+        return found;
+    }
+    var integrationFile = processedBase + "/master/integration.xisf";
+    var drizzleFile = drizzleOutputPath(processedBase + "/master", panelName, dateStr);
+    if (fileExists(drizzleFile))
+        found.push({ filter: null, file: drizzleFile, integration: integrationFile, drizzled: true });
+    else if (fileExists(integrationFile))
+        found.push({ filter: null, file: integrationFile, integration: integrationFile, drizzled: false });
+    return found;
+}
+
+// Assembles the mosaics for one base object on one date after its panels
+// have been processed — one per filter, mosaic_<base>_<date>_<filter>.xisf
+// when the panels hold several, else mosaic_<base>_<date>.xisf.
+// panels: [{ name, sourceDir, processedBase, newlyProcessed }]. A panel
+// only counts when its session completed (see sessionCompleted) — a master
+// left over from an earlier run does not. Reports missing (gaps in the
+// row/col grid) and failed panels; returns the mosaic paths assembled.
+function processMosaic(base, dateStr, panels) {
+    var dateBase   = NAS_PROCESSED_ROOT + "/" + friendlyName(base) + "/" + dateStr;
+    var logsDir    = dateBase + "/logs";
+
+    // Classify panels, detect gaps in the grid and sort the masters by filter
+    var present = {}, maxRow = 0, maxCol = 0;
+    var failed = [], joinable = [], filters = [], byFilter = {};
+    for (var i = 0; i < panels.length; i++) {
+        var pos = panelPosition(panels[i].name);
+        if (pos) {
+            present[pos.row + "-" + pos.col] = true;
+            maxRow = Math.max(maxRow, pos.row);
+            maxCol = Math.max(maxCol, pos.col);
+        }
+        var done  = sessionCompleted(panels[i].sourceDir, panels[i].processedBase);
+        var found = done.complete ? findPanelMasters(panels[i].processedBase, panels[i].name, dateStr) : [];
+        if (found.length === 0) {
+            failed.push(panels[i].name);
+            continue;
+        }
+        joinable.push(panels[i].name);
+        for (var j = 0; j < found.length; j++) {
+            var key = filterDirName(found[j].filter);
+            if (!byFilter[key]) {
+                byFilter[key] = [];
+                filters.push({ key: key, filter: found[j].filter });
+            }
+            byFilter[key].push({ name: panels[i].name, pos: pos, file: found[j].file,
+                                 integration: found[j].integration, drizzled: found[j].drizzled,
+                                 newlyProcessed: panels[i].newlyProcessed });
+        }
+    }
+    var missing = [];
+    for (var r = 1; r <= maxRow; r++)
+        for (var c = 1; c <= maxCol; c++)
+            if (!present[r + "-" + c]) missing.push(base + "_" + r + "-" + c);
+
+    if (joinable.length < 2 && missing.length === 0 && failed.length === 0) return [];  // single panel
+    if (filters.length === 0) filters.push({ key: NO_FILTER, filter: null });
+    var multiFilter = filters.length > 1;
+
+    // One mosaic per filter; those whose panels did not change are kept
+    var jobs = [];
+    for (var fi = 0; fi < filters.length; fi++) {
+        var job = { filter: filters[fi].filter, masters: byFilter[filters[fi].key] || [],
+                    label: base + (multiFilter ? " " + (filters[fi].filter || NO_FILTER) : ""),
+                    file: dateBase + "/mosaic_" + base.replace(/ /g, "_") + "_" + dateStr +
+                          (multiFilter ? "_" + filters[fi].key : "") + ".xisf" };
+        var anyNew = job.masters.some(function(m){ return m.newlyProcessed; });
+        if (!anyNew && fileExists(job.file)) {
+            Console.writeln("  Mosaic up to date: " + job.file);
+            recordResult("mosaic", job.label, dateStr, "skipped", null, "up to date");
+            continue;
+        }
+        jobs.push(job);
+    }
+    if (jobs.length === 0) return [];
+
+    ensureDir(logsDir);
+    logOpen(logsDir);
+    var results = [];
+    log("\nMosaic assembly: " + base + " / " + dateStr + " (" + maxRow + "\u00d7" + maxCol + " grid" +
+        (multiFilter ? ", " + filters.length + " filters" : "") + ")");
+    for (var i = 0; i < missing.length; i++)
+        log("  MISSING panel: " + missing[i] + " \u2014 no RAW folder for this date.");
+    for (var i = 0; i < failed.length; i++)
+        log("  FAILED panel : " + failed[i] + " \u2014 did not complete or has no master; see the panel log.");
+    for (var ji = 0; ji < jobs.length; ji++) {
+        var job = jobs[ji], record, mosaicStart = Date.now();
+        var masters = job.masters;
+        var lacking = joinable.filter(function(name){
+            return !masters.some(function(m){ return m.name === name; }); });
+        try {
+            if (multiFilter)
+                log("\n\u2500\u2500 Filter: " + (job.filter || NO_FILTER) + " (" + masters.length + " panels) \u2500\u2500");
+            for (var i = 0; i < lacking.length; i++)
+                log("  FAILED panel : " + lacking[i] + " \u2014 no " + (job.filter || NO_FILTER) + " master.");
+            var incomplete = failed.length + lacking.length;
+            if ((missing.length > 0 || incomplete > 0) && !MOSAIC_ALLOW_PARTIAL)
+                throw new Error("mosaic incomplete (" + missing.length + " missing, " + incomplete +
+                                " failed) \u2014 not assembled. Set MOSAIC_ALLOW_PARTIAL to join the rest.");
+            if (masters.length < 2)
+                throw new Error("fewer than 2 panel masters available \u2014 nothing to join.");
+
+            // Mixed drizzle/integration panels would differ in scale — use the
+            // non-drizzled integrations for all panels in that case.
+            var allDrizzled = masters.every(function(m){ return m.drizzled; });
+            if (!allDrizzled) {
+                log("  Not every panel has a drizzle master \u2014 joining integration.xisf of each panel.");
+                for (var i = 0; i < masters.length; i++)
+                    masters[i].file = masters[i].integration;
+            }
+
+            // Row-major order keeps every new panel adjacent to the mosaic so far
+            masters.sort(function(a, b) {
+                var pa = a.pos || { row: 0, col: 0 }, pb = b.pos || { row: 0, col: 0 };
+                return (pa.row - pb.row) || (pa.col - pb.col);
+            });
+
+            // Join in a local temp dir to avoid SMB rename failures
+            var workDir = File.systemTempDirectory + "/mosaic_tmp";
+            if (!File.directoryExists(workDir) && !File.createDirectory(workDir, true))
+                throw new Error("Cannot create temp dir: " + workDir);
+
+            var current = masters[0].file;
+            var temps = [];
+            log("  Base panel   : " + masters[0].name);
+            for (var i = 1; i < masters.length; i++) {
+                log("  Joining panel " + masters[i].name + "...");
+                current = runMosaicAlignment(current, masters[i].file, workDir, "_m" + i);
+                temps.push(current);
+                closeAllWindows();
+            }
+
+            if (fileExists(job.file)) File.remove(job.file);
+            File.copyFile(job.file, current);
+            for (var i = 0; i < temps.length; i++)
+                if (fileExists(temps[i])) File.remove(temps[i]);
+
+            log("  Mosaic saved: " + job.file + " (" + masters.length + " panels)");
+            results.push(job.file);
+            record = recordResult("mosaic", job.label, dateStr, "ok", job.file,
+                                  masters.length + " panel(s)" +
+                                  (missing.length + incomplete > 0 ? ", partial" : ""));
+        } catch (e) {
+            log("\n\u2717 MOSAIC [" + job.label + " / " + dateStr + "]: " + e.message);
+            closeAllWindows();
+            record = recordResult("mosaic", job.label, dateStr, "failed", null, e.message);
+        }
+        record.details = { frames: null, seconds: null, calibration: null, uncalibrated: [],
+                           elapsed: (Date.now() - mosaicStart) / 1000, log: g_logPath };
+    }
+    logClose();
+    return results;
+}
+
+// ── Folder scanner ───────────────────────────────────────────
+// Detects mosaic panels (objectName matching _N-N suffix), groups them
+// under a shared processed parent folder, processes each panel
+// independently through the full pipeline, then assembles the mosaic.
+function processDateDir(dateDir, dateStr) {
+    var outputs = [];
+    if (!dateSelected(dateStr)) return outputs;
+
+    // Collect all object subdirectories, skipping darks/flats
+    var objectDirs = [];
+    var ff = new FileFind;
+    if (!ff.begin(dateDir + "/*")) return outputs;
+    do {
+        if (ff.isDirectory && ff.name !== "." && ff.name !== ".." &&
+                ff.name !== "darks" && ff.name !== "flats" &&
+                ff.name !== "bias" && ff.name !== "darkflats") {
+            objectDirs.push(ff.name);
+        }
+    } while (ff.next());
+    ff.end();
+
+    // Group by base object name (strip mosaic panel suffix if present)
+    var groups = {};  // baseObjectName -> [ panelName, ... ]
+    for (var i = 0; i < objectDirs.length; i++) {
+        var name  = objectDirs[i];
+        var base  = objectBaseName(name);
+        if (!groups[base]) groups[base] = [];
+        groups[base].push(name);
+    }
+
+    for (var base in groups) {
+        if (!objectSelected(base)) continue;
+        var panels   = groups[base];
+        var isMosaic = panels.length > 1 || MOSAIC_PANEL_RE.test(panels[0]);
+        if (g_runOptions.onlyMosaics && !isMosaic) continue;
+
+        if (isMosaic) {
+            Console.writeln("\nMosaic detected: " + base + " (" + panels.length + " panels)");
+            // Shared processed parent: NAS_PROCESSED_ROOT/<base>/<dateStr>
+            // Each panel gets its own subfolder within that parent.
+            // With --only-failed the other panels are not re-run but still
+            // take part in the assembly.
+            var panelInfo = [], anySelected = false;
+            for (var p = 0; p < panels.length; p++) {
+                var panelName    = panels[p];
+                var processedBase = NAS_PROCESSED_ROOT + "/" + friendlyName(base) + "/" + dateStr + "/" + panelName;
+                var panelDir = dateDir + "/" + panelName;
+                var result = null;
+                if (!g_runOptions.onlyFailed || sessionFailed(panelDir, processedBase)) {
+                    anySelected = true;
+                    result = processSession(panelName, dateStr, panelDir, processedBase);
+                }
+                if (result !== null) outputs.push(result);
+                panelInfo.push({ name: panelName, sourceDir: panelDir, processedBase: processedBase,
+                                 newlyProcessed: result !== null });
+            }
+            // Join the panel masters once every panel has been attempted
+            if (!anySelected) {
+                continue;
+            } else if (g_runOptions.dryRun) {
+                if (MOSAIC_ASSEMBLY_ENABLED)
+                    recordResult("mosaic", base, dateStr, "planned", null, "assembled after its panels");
+            } else if (objectConfigOk(friendlyName(base)) && MOSAIC_ASSEMBLY_ENABLED) {
+                outputs = outputs.concat(processMosaic(base, dateStr, panelInfo));
+            }
+        } else {
+            var sessionDir = dateDir + "/" + panels[0];
+            if (g_runOptions.onlyFailed &&
+                    !sessionFailed(sessionDir, NAS_PROCESSED_ROOT + "/" + friendlyName(panels[0]) + "/" + dateStr))
+                continue;
+            var result = processSession(panels[0], dateStr, sessionDir);
+            if (result !== null) outputs.push(result);
+        }
+    }
+    return outputs;
+}
+
+// ── Main ─────────────────────────────────────────────────────
+Console.writeln("AstroPreprocess — OSC Pipeline");
+var configOk = true;
+try {
+    readRunOptions();
+    loadGlobalConfig();
+} catch (e) {
+    Console.criticalln("Configuration error — nothing processed:\n  " + e.message);
+    g_configSources = [CONFIG_FILE + " (invalid)"];
+    configOk = false;
+}
+Console.writeln("Mode          : " + (g_runOptions.headless ? "headless" : "interactive"));
+Console.writeln("Config        : " + g_configSources.join(" + "));
+Console.writeln("RAW root      : " + NAS_RAW_ROOT);
+Console.writeln("Processed root: " + NAS_PROCESSED_ROOT);
+
+// Headless runs take the selection from the options; interactive runs
+// confirm the settings and pick a folder.
+var sel = null;
+if (configOk && g_runOptions.headless) {
+    sel = g_runOptions.path || NAS_RAW_ROOT;
+    if (!File.directoryExists(sel)) {
+        Console.criticalln("Path not found \u2014 nothing processed: " + sel);
+        configOk = false;
+    }
+} else if (configOk && (new ConfigDialog).execute()) {
+    var dlg = new GetDirectoryDialog;
+    dlg.caption     = "Select a date folder (e.g. Z:/RAW/2026-02-11), Z:/RAW to process all dates, " +
+                      "or Z:/Processed/<Object> to stack all nights of one object";
+    dlg.initialPath = NAS_RAW_ROOT;
+    if (dlg.execute()) sel = dlg.directory;
+}
+
+if (!configOk) {
+    writeRunStatus(EXIT_ERROR);
+} else if (sel === null) {
+    Console.writeln("Cancelled.");
+} else {
+    Console.writeln("\nSelected: " + sel);
+    Console.writeln("Filters : " + describeRunFilters());
+
+    var allOutputs = [], runStart = Date.now();
+    var selNorm = sel.replace(/\\/g, "/").toLowerCase();
+    var processedNorm = NAS_PROCESSED_ROOT.toLowerCase() + "/";
+
+    if (selNorm.indexOf(processedNorm) === 0 && selNorm.length > processedNorm.length) {
+        // A folder under Processed/<Object>: multi-night project integration
+        var objectFolder = sel.replace(/\\/g, "/").substring(processedNorm.length).split("/")[0];
+        var projectOut = processProject(NAS_PROCESSED_ROOT + "/" + objectFolder);
+        if (projectOut !== null) allOutputs.push(projectOut);
+    } else if (/\d{4}-\d{2}-\d{2}$/.test(sel)) {
+        allOutputs = processDateDir(sel, sel.replace(/.*[\/\\]/, ""));
     } else {
         var ff = new FileFind;
         if (ff.begin(sel + "/*")) {
@@ -1363,13 +6016,33 @@ if (!dlg.execute()) {
         }
     }
 
+    if (PROJECT_AUTO_INTEGRATE) {
+        for (var objectDir in g_projectCandidates) {
+            var projectOut = processProject(objectDir);
+            if (projectOut !== null) allOutputs.push(projectOut);
+        }
+    }
+
     Console.writeln("\n" + "=".repeat(40));
-    Console.writeln("All sessions complete.");
+    Console.writeln(g_runOptions.dryRun ? "Dry run complete." : "All sessions complete.");
     Console.writeln("Results in: " + NAS_PROCESSED_ROOT);
     Console.writeln("=".repeat(40));
 
-    // Open every final image so they are ready for post-processing.
-    if (allOutputs.length > 0) {
+    if (g_runOptions.dryRun)
+        writePlanReport(sel);
+    else {
+        writeRunSummary(sel, runStart);
+        writeLedgerReport();
+    }
+
+    var nFailed = g_runResults.filter(function(r){ return r.status === "failed"; }).length;
+    if (nFailed > 0)
+        Console.writeln(nFailed + " session(s)/mosaic(s)/project(s) FAILED \u2014 see their logs.");
+    writeRunStatus(nFailed > 0 ? EXIT_FAILED : EXIT_OK);
+
+    // Open every final image so they are ready for post-processing
+    // (not in headless runs — nobody is there to look at them).
+    if (allOutputs.length > 0 && !g_runOptions.headless) {
         Console.writeln("\nOpening " + allOutputs.length + " final image(s)...");
         for (var oi = 0; oi < allOutputs.length; oi++) {
             Console.writeln("  " + allOutputs[oi]);
@@ -0,0 +1,98 @@
+# ============================================================
+# run_preprocess.ps1
+# Runs astro_preprocess.js headless in PixInsight — no folder
+# picker, no dialogs, no final images opened — and exits with
+# the pipeline's status code, so it can be scheduled after
+# copy_from_asiair.ps1.
+#
+# Usage:   .\run_preprocess.ps1
+#          .\run_preprocess.ps1 -From 2026-02-01 -To 2026-02-28
+#          .\run_preprocess.ps1 -Path "Z:\RAW\2026-02-11" -Object "M 42","NGC 2683"
+#          .\run_preprocess.ps1 -Object "NGC*" -OnlyFailed -DryRun
+#
+# Exit codes:
+#   0  every selected session succeeded or was skipped
+#   1  one or more sessions, mosaics or projects failed
+#   2  the run could not start (arguments, configuration, path)
+#   3  PixInsight exited without writing a run status
+# ============================================================
+
+param(
+    [string]   $Path       = "",           # default: NAS_RAW_ROOT from the script/config
+    [string]   $From       = "",           # YYYY-MM-DD, inclusive
+    [string]   $To         = "",           # YYYY-MM-DD, inclusive
+    [string[]] $Object     = @(),          # raw or friendly object names, * and ? wildcards
+    [switch]   $OnlyMosaics,                # only mosaic panels and their assembly
+    [switch]   $OnlyFailed,                 # only sessions attempted but never completed
+    [switch]   $Force,                      # ignore _processed.txt for the selected sessions
+    [switch]   $DryRun,                     # list what would be processed, process nothing
+    [string]   $Config     = "",           # astro_preprocess.json to use instead of CONFIG_FILE
+    [string]   $PixInsight = "C:\Program Files\PixInsight\bin\PixInsight.exe",
+    [string]   $Script     = "$PSScriptRoot\astro_preprocess.js"
+)
+
+Write-Host ""
+Write-Host "=======================================" -ForegroundColor Cyan
+Write-Host "  AstroPreprocess (headless)" -ForegroundColor Cyan
+Write-Host "=======================================" -ForegroundColor Cyan
+Write-Host ""
+
+if (-not (Test-Path $PixInsight)) {
+    Write-Host "ERROR: PixInsight not found at $PixInsight - pass -PixInsight <path>" -ForegroundColor Red
+    exit 2
+}
+if (-not (Test-Path $Script)) {
+    Write-Host "ERROR: Script not found at $Script" -ForegroundColor Red
+    exit 2
+}
+
+# Options go through a job file: PixInsight's -r= separates script
+# arguments with commas, which object names may contain.
+$stamp      = Get-Date -Format "yyyyMMdd_HHmmss"
+$jobFile    = Join-Path $env:TEMP "astro_preprocess_job_$stamp.json"
+$statusFile = Join-Path $env:TEMP "astro_preprocess_status_$stamp.json"
+
+$job = [ordered]@{ status = ($statusFile -replace '\\', '/') }
+if ($Path)   { $job.path   = $Path -replace '\\', '/' }
+if ($From)   { $job.from   = $From }
+if ($To)     { $job.to     = $To }
+if ($Object) { $job.object = $Object }
+if ($Config) { $job.config = $Config -replace '\\', '/' }
+if ($OnlyMosaics) { $job.onlyMosaics = $true }
+if ($OnlyFailed)  { $job.onlyFailed  = $true }
+if ($Force)       { $job.force       = $true }
+if ($DryRun)      { $job.dryRun      = $true }
+[System.IO.File]::WriteAllText($jobFile, ($job | ConvertTo-Json))   # UTF-8 without BOM
+
+$scriptArg = ($Script -replace '\\', '/') + ",--job=" + ($jobFile -replace '\\', '/')
+Write-Host "  Job: $jobFile"
+Write-Host "  Starting PixInsight..."
+$pi = Start-Process -FilePath $PixInsight -ArgumentList @(
+        "-n", "--automation-mode", "--no-startup-scripts", "--force-exit", "-r=`"$scriptArg`""
+    ) -Wait -PassThru
+
+if (-not (Test-Path $statusFile)) {
+    Write-Host "ERROR: No run status written (PixInsight exit code $($pi.ExitCode)) - see the PixInsight console." -ForegroundColor Red
+    Remove-Item -Path $jobFile -ErrorAction SilentlyContinue
+    exit 3
+}
+
+$status = Get-Content -Path $statusFile -Raw | ConvertFrom-Json
+Write-Host ""
+foreach ($r in $status.results) {
+    $color = switch ($r.status) { "ok" { "Green" } "failed" { "Red" } "planned" { "White" } default { "DarkGray" } }
+    $note  = if ($r.message) { " - $($r.message)" } else { "" }
+    Write-Host ("  {0,-8} {1,-7} {2} / {3}{4}" -f $r.status.ToUpper(), $r.kind, $r.object, $r.date, $note) -ForegroundColor $color
+}
+Write-Host ""
+Write-Host "=======================================" -ForegroundColor Cyan
+if ($DryRun) {
+    Write-Host "  Dry run. $($status.counts.planned) to process, $($status.counts.skipped) skipped." -ForegroundColor Cyan
+} else {
+    Write-Host "  Done. $($status.counts.ok) ok, $($status.counts.failed) failed, $($status.counts.skipped) skipped (exit $($status.exitCode))." -ForegroundColor Cyan
+}
+Write-Host "=======================================" -ForegroundColor Cyan
+Write-Host ""
+
+Remove-Item -Path $jobFile, $statusFile -ErrorAction SilentlyContinue
+exit $status.exitCode